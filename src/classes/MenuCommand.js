@@ -1,9 +1,39 @@
+import { parseTargetTypes } from "../utils/utils.js";
+
 /**
- * @typedef {'action' | 'sublist' | 'separator'} CommandType
+ * @typedef {'action' | 'sublist' | 'separator' | 'checkbox' | 'radio' | 'input' | 'range' | 'swatches' | 'row'} CommandType
  * The type of the menu command.
  * - 'action': Executes an action.
  * - 'sublist': Displays a submenu.
  * - 'separator': Displays a divider line or a sub-header.
+ * - 'checkbox': Toggles its `checked` state and executes an action with the new value.
+ * - 'radio': Becomes the checked option of its `group`, unchecking the others, and executes an action with its `value`.
+ * - 'input': Displays a text or number field. Pressing Enter executes the action with the field's value.
+ * - 'range': Displays a slider. Changing it executes the action with the new value.
+ * - 'swatches': Displays a row of colour swatches. Picking one executes the action with its value.
+ * - 'row': Displays its `subCommands` side by side as compact icon buttons (e.g. "Cut | Copy | Paste").
+ */
+
+/**
+ * @typedef {object} Swatch
+ * A colour offered by a 'swatches' command.
+ * @property {string} value - The CSS colour, passed to the action when the swatch is picked.
+ * @property {string} [label] - The accessible name of the swatch. Defaults to the value.
+ */
+
+/**
+ * @typedef {object} Badge
+ * A small coloured tag displayed next to the label.
+ * @property {string} text - The text of the badge (e.g. "New").
+ * @property {string} [color] - The background colour of the badge. Defaults to the `--quickctx-badge-background` CSS variable.
+ */
+
+/**
+ * @typedef {object} CommandContext
+ * The context passed to dynamic command properties, evaluated each time the menu is rendered.
+ * @property {HTMLElement} target - The element the menu was opened for.
+ * @property {string} targetType - The type of the target element. Elements with several types have them separated by spaces.
+ * @property {MenuCommand} command - The command being rendered.
  */
 
 class MenuCommand {
@@ -11,16 +41,48 @@ class MenuCommand {
      * Creates a MenuCommand instance. MenuCommand class contains the configuration for a single command in a context menu.
      * @param {object} options - Options for the command.
      * @param {string} [options.id=crypto.randomUUID()] - Unique ID for the command.
-     * @param {string} [options.label] - The displayed text for the command (not used for 'separator' unless no content is provided).
+     * @param {string|function(CommandContext): string} [options.label] - The displayed text for the command (not used for 'separator' unless no content is provided).
      * @param {CommandType} [options.type='action'] - The type of command.
      * @param {Function|string} [options.action] - The callback function to execute (for 'action' type) or the name of a registered action.
-     * @param {string[]} [options.targetTypes=['*']] - Array of strings specifying for which target types this command is active. ['*'] for all.
-     * @param {Array<object|MenuCommand>} [options.subCommands=[]] - Array of MenuCommand configurations or instances for submenus (for 'sublist' type).
-     * @param {string|null} [options.iconClass=null] - CSS class for an icon (e.g., from Font Awesome).
-     * @param {boolean} [options.disabled=false] - If true, the command is displayed but not clickable.
-     * @param {boolean} [options.visible=true] - If true, the command is visible.
+     * @param {string|string[]} [options.targetTypes=['*']] - The target types for which this command is active. ['*'] for all.
+     * The command applies to an element if one of the element's types matches one of these. Types may be glob patterns (`'image/*'`),
+     * and types starting with `!` exclude the elements having them (`['file', '!readonly']`; `['!readonly']` alone applies to every other element).
+     * A string may hold several types separated by spaces.
+     * @param {Array<object|MenuCommand>|function(HTMLElement): Promise<Array<object|MenuCommand>>} [options.subCommands=[]] - Array of MenuCommand configurations or instances for submenus (for 'sublist' type), or for the buttons of a 'row'.
+     * It can also be a function receiving the target element and returning (a promise of) that array: the submenu is then loaded when it is first expanded.
+     * @param {'list'|'grid'} [options.layout='list'] - The layout of the submenu of a 'sublist' command. 'grid' displays its items as tiles.
+     * @param {number|null} [options.columns=null] - The number of columns of a submenu with the 'grid' layout. Defaults to 4.
+     * @param {boolean} [options.cacheSubCommands=false] - If true, the submenu loaded by a `subCommands` function is cached per target type instead of being reloaded each time the menu is opened.
+     * @param {string|null|function(CommandContext): (string|null)} [options.iconClass=null] - CSS class for an icon (e.g., from Font Awesome).
+     * @param {string|HTMLElement|null|function(CommandContext): (string|HTMLElement|null)} [options.icon=null] - An icon given as raw SVG markup,
+     * an element (cloned for each rendering), an image URL, a sprite reference (`'#icon-id'`, rendered as an SVG `<use>`) or plain text such as an emoji.
+     * @param {boolean|function(CommandContext): boolean} [options.disabled=false] - If true, the command is displayed but not clickable.
+     * @param {boolean|function(CommandContext): boolean} [options.visible=true] - If true, the command is visible.
+     * @param {string|null|function(CommandContext): (string|null)} [options.description=null] - Secondary text displayed in a muted line under the label.
+     * @param {string|null|function(CommandContext): (string|null)} [options.hint=null] - Short text displayed in a right-aligned column (e.g. a count or a status).
+     * @param {string|Badge|null|function(CommandContext): (string|Badge|null)} [options.badge=null] - A coloured tag displayed next to the label (e.g. "New").
+     * @param {string|null|function(CommandContext): (string|null)} [options.tooltip=null] - Text shown in a tooltip beside the item after it has been hovered or focused for `animations.tooltipDelay`.
+     * @param {string|null|function(CommandContext): (string|null)} [options.disabledReason=null] - Text explaining why the command is disabled, shown in the tooltip instead of `tooltip` while it is.
+     * `label`, `iconClass`, `icon`, `disabled`, `visible`, `description`, `hint`, `badge`, `tooltip` and `disabledReason` can also be functions of the render context, evaluated each time the menu is shown.
      * @param {number} [options.order=0] - Number for ordering commands within the menu.
      * @param {string|HTMLElement|null} [options.content=null] - HTML content or text for a separator, turning it into a sub-header.
+     * @param {boolean} [options.checked=false] - The checked state of a 'checkbox' or 'radio' command, rendered as a check mark.
+     * @param {string|null} [options.group=null] - The name of the group a 'radio' command belongs to. Only one command per group is checked within a menu.
+     * @param {*} [options.value=null] - The value passed to the action when a 'radio' command is selected. Defaults to the command's ID.
+     * For 'input', 'range' and 'swatches' commands, it is the current value of the control, updated each time a new value is committed.
+     * @param {'text'|'number'} [options.inputType='text'] - The kind of field displayed by an 'input' command.
+     * @param {string|null} [options.placeholder=null] - The placeholder of an 'input' command's field.
+     * @param {number|null} [options.min=null] - The minimum value of a number 'input' or a 'range' command.
+     * @param {number|null} [options.max=null] - The maximum value of a number 'input' or a 'range' command.
+     * @param {number|null} [options.step=null] - The step of a number 'input' or a 'range' command.
+     * @param {Array<string|Swatch>} [options.swatches=[]] - The colours offered by a 'swatches' command.
+     * @param {boolean|null} [options.keepOpen=null] - If true, the menu stays open after the command is executed. If null, checkbox and radio commands follow the global `keepOpenOnToggle` option, 'range' commands keep the menu open and other commands close it.
+     * @param {boolean|string} [options.confirm=false] - If set, the first click only asks for a confirmation and a second click runs the action.
+     * A string is used as the confirmation text (e.g. "Click again to delete"), instead of the global `confirmText` option.
+     * @param {'danger'|null} [options.variant=null] - A visual variant of the item. 'danger' highlights destructive commands.
+     * @param {string|null} [options.shortcut=null] - Keyboard shortcut that runs the command without opening the menu (e.g. "Ctrl+Shift+D"). `Mod` stands for Command on macOS and Control elsewhere.
+     * @param {string|null} [options.before=null] - In a menu extending other menus, the ID of the inherited command to insert this command before.
+     * @param {string|null} [options.after=null] - In a menu extending other menus, the ID of the inherited command to insert this command after.
      * @param {boolean} [options.isHtmlDefined=false] - Internal flag to indicate if the command was defined via HTML.
      */
     constructor({
@@ -31,10 +93,34 @@ class MenuCommand {
         targetTypes = ["*"],
         subCommands = [],
         iconClass = null,
+        icon = null,
         disabled = false,
         visible = true,
         order = 0,
         content = null,
+        shortcut = null,
+        checked = false,
+        group = null,
+        value = null,
+        keepOpen = null,
+        cacheSubCommands = false,
+        layout = "list",
+        columns = null,
+        inputType = "text",
+        placeholder = null,
+        min = null,
+        max = null,
+        step = null,
+        swatches = [],
+        description = null,
+        hint = null,
+        badge = null,
+        tooltip = null,
+        disabledReason = null,
+        confirm = false,
+        variant = null,
+        before = null,
+        after = null,
     }) {
         if (this.type === "separator" && !label) {
             throw new Error(
@@ -46,11 +132,61 @@ class MenuCommand {
         this.label = label;
         this.type = type;
         this.action = action;
+        const parsedTargetTypes = parseTargetTypes(targetTypes);
         this.targetTypes =
-            Array.isArray(targetTypes) && targetTypes.length > 0
-                ? targetTypes
-                : ["*"];
-        this.subCommands = subCommands.map((cmdConfig) => {
+            parsedTargetTypes.length > 0 ? parsedTargetTypes : ["*"];
+        this.subCommandsLoader = typeof subCommands === "function" ? subCommands : null;
+        this.cacheSubCommands = cacheSubCommands;
+        this.layout = layout;
+        this.columns = columns;
+        this.subCommandsCache = new Map();
+        this.setSubCommands(this.subCommandsLoader ? [] : subCommands);
+        this.iconClass = iconClass;
+        this.icon = icon;
+        this.disabled = disabled;
+        this.visible = visible;
+        this.order = order;
+        this.content = content;
+        this.shortcut = shortcut;
+        this.checked = checked;
+        this.group = group;
+        this.value = value;
+        this.keepOpen = keepOpen;
+        this.inputType = inputType;
+        this.placeholder = placeholder;
+        this.min = min;
+        this.max = max;
+        this.step = step;
+        this.description = description;
+        this.hint = hint;
+        this.badge = badge;
+        this.tooltip = tooltip;
+        this.disabledReason = disabledReason;
+        this.confirm = confirm;
+        this.variant = variant;
+        this.before = before;
+        this.after = after;
+        this.swatches = swatches.map((swatch) =>
+            typeof swatch === "string" ? { value: swatch } : swatch
+        );
+    }
+
+    /**
+     * Replaces the commands of the submenu, converting configurations to MenuCommand instances and linking them to this command.
+     * @param {Array<object|MenuCommand>} subCommands - Array of MenuCommand configurations or instances.
+     */
+    setSubCommands(subCommands) {
+        this.subCommands = this.createSubCommands(subCommands);
+    }
+
+    /**
+     * Converts configurations to MenuCommand instances linked to this command, without making them its submenu
+     * (e.g. for the commands returned by a `subCommands` loader, which depend on the target).
+     * @param {Array<object|MenuCommand>} subCommands - Array of MenuCommand configurations or instances.
+     * @returns {MenuCommand[]} The linked instances.
+     */
+    createSubCommands(subCommands) {
+        return subCommands.map((cmdConfig) => {
             const subCmd =
                 cmdConfig instanceof MenuCommand
                     ? cmdConfig
@@ -58,11 +194,6 @@ class MenuCommand {
             subCmd.parentCommand = this; 
             return subCmd;
         });
-        this.iconClass = iconClass;
-        this.disabled = disabled;
-        this.visible = visible;
-        this.order = order;
-        this.content = content;
     }
 
     /**
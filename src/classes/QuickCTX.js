@@ -1,4 +1,15 @@
-import { createElement } from "../utils/utils.js";
+import {
+    createElement,
+    createUniqueId,
+    detectMacPlatform,
+    parseShortcut,
+    formatShortcut,
+    toAriaKeyShortcut,
+    matchesShortcut,
+    isImageUrl,
+    parseTargetTypes,
+    matchesTargetTypes,
+} from "../utils/utils.js";
 import MenuCommand from "./MenuCommand.js";
 
 // QuickCTX input definitions
@@ -9,13 +20,37 @@ import MenuCommand from "./MenuCommand.js";
  * @property {string|string[]} [container='quickctx-container'] - CSS class for the main menu container.
  * @property {string|string[]} [header='quickctx-header'] - CSS class for the menu header.
  * @property {string|string[]} [list='quickctx-list'] - CSS class for the <ul> list of commands.
+ * @property {string|string[]} [grid='quickctx-list--grid'] - CSS class for lists of menus with the 'grid' layout.
  * @property {string|string[]} [item='quickctx-item'] - CSS class for menu <li> elements (commands).
  * @property {string|string[]} [separator='quickctx-separator'] - CSS class for separators.
  * @property {string|string[]} [sublist='quickctx-sublist'] - CSS class for <li> items that open submenus.
  * @property {string|string[]} [sublistCommand='quickctx-sublist-command'] - CSS class for <li> items that open submenus.
  * @property {string|string[]} [disabled='quickctx-item--disabled'] - CSS class for disabled items.
  * @property {string|string[]} [hidden='quickctx-item--hidden'] - CSS class for hidden items.
+ * @property {string|string[]} [active='quickctx-item--active'] - CSS class for the item currently highlighted by keyboard or pointer.
  * @property {string|string[]} [icon='quickctx-icon'] - Icons class.
+ * @property {string|string[]} [shortcut='quickctx-shortcut'] - CSS class for the keyboard shortcut displayed in an item.
+ * @property {string|string[]} [label='quickctx-label'] - CSS class for the label of items hosting a control or requiring a confirmation.
+ * @property {string|string[]} [control='quickctx-control'] - CSS class for the control of 'input', 'range' and 'swatches' items.
+ * @property {string|string[]} [swatch='quickctx-swatch'] - CSS class for a colour swatch button.
+ * @property {string|string[]} [description='quickctx-description'] - CSS class for the secondary line displayed under an item's label.
+ * @property {string|string[]} [hint='quickctx-hint'] - CSS class for the right-aligned hint of an item.
+ * @property {string|string[]} [badge='quickctx-badge'] - CSS class for the badge displayed next to an item's label.
+ * @property {string|string[]} [danger='quickctx-item--danger'] - CSS class for commands with the 'danger' variant.
+ * @property {string|string[]} [confirming='quickctx-item--confirming'] - CSS class for items waiting for a confirming click.
+ * @property {string|string[]} [search='quickctx-search'] - CSS class for the search box of `searchable` menus.
+ * @property {string|string[]} [breadcrumb='quickctx-breadcrumb'] - CSS class for the path displayed before a search result.
+ * @property {string|string[]} [noResults='quickctx-item--no-results'] - CSS class for the item shown when a search has no results.
+ * @property {string|string[]} [tooltip='quickctx-tooltip'] - CSS class for the tooltip showing a command's `tooltip` or `disabledReason`.
+ * @property {string|string[]} [scrollUp='quickctx-scroll-up'] - CSS class for the arrow scrolling a long menu up.
+ * @property {string|string[]} [scrollDown='quickctx-scroll-down'] - CSS class for the arrow scrolling a long menu down.
+ * @property {string|string[]} [row='quickctx-row'] - CSS class for the <li> of a 'row' command.
+ * @property {string|string[]} [rowButton='quickctx-row-button'] - CSS class for the buttons of a 'row' command.
+ * @property {string|string[]} [check='quickctx-check'] - CSS class for the check mark of checkbox and radio commands.
+ * @property {string|string[]} [checked='quickctx-item--checked'] - CSS class for checked items.
+ * @property {string|string[]} [loading='quickctx-item--loading'] - CSS class for the placeholder item shown while a submenu is loading.
+ * @property {string|string[]} [error='quickctx-item--error'] - CSS class for the item shown when a submenu fails to load.
+ * @property {string|string[]} [pending='quickctx-item--pending'] - CSS class for items whose asynchronous action is running.
  * @property {string|string[]} [opening='quickctx--opening'] - Class added during the opening animation.
  * @property {string|string[]} [open='quickctx--open'] - Class added when the menu is fully open.
  * @property {string|string[]} [closing='quickctx--closing'] - Class added during the closing animation.
@@ -31,6 +66,10 @@ import MenuCommand from "./MenuCommand.js";
  * @property {number} [hoverMenuCloseDelay=300] - Delay in ms before closing a hover-triggered menu.
  * @property {number} [submenuCloseDelay=200] - Delay in ms before closing submenus after mouse leave.
  * @property {number} [holdDuration=500] - Duration in ms for a 'hold' gesture on touch devices.
+ * @property {number} [typeaheadResetDelay=500] - Delay in ms after which the characters typed to jump to an item are forgotten.
+ * @property {number} [scrollSpeed=300] - Speed in pixels per second of the scrolling triggered by hovering the scroll arrows of a long menu.
+ * @property {number} [confirmTimeout=3000] - Delay in ms during which a command with `confirm` waits for the confirming click.
+ * @property {number} [tooltipDelay=500] - Delay in ms before the tooltip of a hovered or focused item is shown.
  */
 
 /**
@@ -41,15 +80,31 @@ import MenuCommand from "./MenuCommand.js";
  * 'click' closes on an outside click, 'mouseout' closes on mouse leave,
  * and 'auto' uses 'mouseout' for hover-triggered menus and 'click' for all others.
  * @property {'tap' | 'hold'} [defaultMobileTrigger='tap'] - The default trigger for touch devices ('tap', 'hold').
- * @property {'closest' | 'deepest'} [overlapStrategy='closest'] - Strategy for finding the target element when multiple are nested.
+ * @property {'closest' | 'deepest' | 'merge'} [overlapStrategy='closest'] - Strategy for finding the target element when multiple are nested.
+ * 'merge' shows the commands of every bound ancestor together, in sections ordered from the innermost element outwards.
+ * @property {boolean} [mergeSectionHeaders=false] - With the 'merge' strategy, heads each section with the `headerTextTemplate` of its menu instead of a plain separator.
  * @property {'hide' | 'disable'} [globalFilterStrategy='hide'] - Global filter strategy for irrelevant commands.
  * @property {string} [submenuArrow] -  Optional string containing the raw SVG markup for the submenu arrow icon.
  * If omitted, a default chevron icon will be used.
  * @example
  * const myArrow = `<svg viewBox="0 0 24 24"><path d="M5 3l3.057-3 11.943 12-11.943 12-3.057-3 9-9z"/></svg>`;
  * const ctx = new QuickCTX({ submenuArrow: myArrow });
+ * @property {string} [checkMark] - Optional string containing the raw SVG markup for the check mark of checkbox commands.
+ * If omitted, a default check icon will be used.
+ * @property {string} [radioMark] - Optional string containing the raw SVG markup for the mark of the checked radio command.
+ * If omitted, a default dot icon will be used.
+ * @property {string} [loadingText='Loading…'] - Text of the placeholder item shown while a lazily loaded submenu is loading.
+ * @property {string} [loadErrorText='Failed to load'] - Text of the item shown when a lazily loaded submenu fails to load.
+ * @property {boolean} [keepOpenOnToggle=false] - If true, the menu stays open after a checkbox or radio command is selected. Can be overridden by the command's `keepOpen` property.
+ * @property {string} [confirmText='Click again to confirm'] - Label shown by an item with `confirm: true` after the first click.
+ * @property {number|null} [maxHeight=null] - Maximum height in pixels of a menu. Longer lists scroll, with hover-to-scroll arrows.
+ * Menus are always limited to the height of the viewport.
+ * @property {string} [searchPlaceholder='Search…'] - Placeholder of the search box of `searchable` menus.
+ * @property {string} [noResultsText='No results'] - Text of the item shown when a search has no results.
+ * @property {boolean} [keepOpenWhilePending=false] - If true, when an action returns a promise the menu stays open, with the item in a pending state, until the promise settles.
  * @property {Boolean} [ignoreLinks = true] - If true, menus will not be triggered by events originating from `<a>` tags or elements with an `href` attribute.
  * @property {boolean} [ignoreButtons=true] - If true, menus will not be triggered by events originating from `<button>` or `<input>` elements of type button/submit/reset.
+ * @property {boolean} [focusableTargets=false] - If true, `bindMenuToElements` makes bound elements focusable (`tabindex="0"`), so that keyboard users can reach them and open their menu with Shift+F10 or the ContextMenu key.
  * @property {QuickCTXClassesOptions} [classes] - Object containing customizable CSS classes.
  * @property {QuickCTXAnimationsOptions} [animations] - Object containing options for animations.
  */
@@ -62,8 +117,15 @@ import MenuCommand from "./MenuCommand.js";
  * @property {string} label - The visible text of the menu item.
  * @property {Function|string} [action] - The function to execute or the name of a registered action. Required for 'action' type commands.
  * @property {string} [iconClass] - Optional CSS class for an icon (e.g., from Font Awesome).
- * @property {string[]} [targetTypes] - Optional array of target types. Overrides the default type set for the menu.
+ * @property {string|HTMLElement} [icon] - Optional icon: raw SVG markup, an element, an image URL, a sprite reference (`'#id'`) or an emoji.
+ * @property {string|string[]} [targetTypes] - Optional target types. Overrides the default type set for the menu.
+ * Types may be glob patterns (`"image/*"`) or exclusions (`"!readonly"`), see `MenuCommand`.
  * @property {MenuItemDefinition[]} [subCommands] - An array of nested menu item definitions to create a submenu.
+ * @property {string} [before] - In a menu with `extends`, the ID of the inherited command to insert this item before.
+ * @property {string} [after] - In a menu with `extends`, the ID of the inherited command to insert this item after.
+ * @property {object} [patch] - In a menu with `extends`, the properties to change on the inherited command with the same `id`.
+ * @property {'list'|'grid'} [layout] - The layout of the submenu ('grid' displays its items as tiles).
+ * @property {number} [columns] - The number of columns of a submenu with the 'grid' layout.
  */
 
 /**
@@ -71,6 +133,7 @@ import MenuCommand from "./MenuCommand.js";
  * @typedef {object} MenuCreationOptions
  * @property {string} menuId - The unique ID for this menu. This ID is used to link the menu to HTML elements via the `data-custom-ctxmenu` attribute.
  * @property {string} [defaultTargetType = "*"] - A default 'type' or category to apply to all commands in this menu. This can be overridden by individual commands. It's used for filtering.
+ * It may hold several space-separated types, patterns and exclusions, as `targetTypes`; only its plain types are assigned to the bound elements.
  * @property {string|HTMLElement|HTMLElement[]} [selector] - An optional CSS selector, a single HTML element, or an array of elements to bind this menu to automatically.
  * @property {Array<MenuItemDefinition|MenuCommand>} structure - The array that defines the menu's structure and items.
  * @property {string} [headerText] - Optional text for the menu's header. If header is missing or empty, header will not be displayed.
@@ -81,12 +144,28 @@ import MenuCommand from "./MenuCommand.js";
  * @property {string} [additionalClasses] - Space-separated list of additional classes to add to this menu.
  * @property {boolean} [ignoreLinks] - Overrides the global `ignoreLinks` setting for this menu. Can be set to `false` to enable menus on links for this instance only.
  * @property {boolean} [ignoreButtons] - Overrides the global `ignoreButtons` setting for this menu.
+ * @property {boolean} [searchable=false] - If true, a search box under the header filters the commands (including those of submenus) by label.
+ * @property {number} [maxHeight] - Overrides the global `maxHeight` option for this menu.
+ * @property {'list'|'grid'} [layout='list'] - 'grid' displays the items as tiles (e.g. for colour, emoji or tag pickers), navigable with the four arrow keys.
+ * @property {number} [columns=4] - The number of columns of a menu with the 'grid' layout.
+ * @property {string|string[]} [extends] - The ID(s) of the menu(s) this menu inherits its commands from. See `ContextMenuConfigOptions.extends`.
+ */
+
+/**
+ * @typedef {object} CommandPatch
+ * An item of an extending menu changing some properties of an inherited command, or removing it.
+ * @property {string} id - The ID of the inherited command.
+ * @property {object} [patch] - The properties to change (e.g. `{ label: 'Remove', visible: false }`).
+ * With `parentId`, `before`, `after` or `index`, the command is also moved, as with `moveCommand`; without `parentId`,
+ * `before` and `after` move it next to the command with that ID, at any depth.
+ * @property {boolean} [remove] - If true, the command is removed from the extending menu.
  */
 
 /**
  * @typedef {object} ContextMenuConfigOptions
  * @property {string} id - The unique ID for this menu configuration, used to link it to HTML elements.
  * @property {string} [headerTextTemplate=""] - A template for the menu's header text. If header is missing or empty, header will not be displayed. Use `{type}` to insert the target type dynamically (ex. "Element: {type}").
+ * For elements with several types, `{type}` is the first one and `{types}` lists them all, separated by commas.
  * @property {Array<object|MenuCommand>} commands - An array of MenuCommand instances or configuration objects that define the menu's items.
  * @property {'contextmenu' | 'click' | 'dblclick' | 'hover'} [triggerEvent] - Overrides the default trigger for this specific menu.
  * @property {'tap' | 'hold'} [mobileTriggerEvent] - Optional specific trigger for this menu on touch devices ('tap', 'hold'), overriding the global mobile default.
@@ -95,6 +174,13 @@ import MenuCommand from "./MenuCommand.js";
  * @property {string} [additionalClasses] - Space-separated list of additional classes to add to a specific menu.
  * @property {boolean} [ignoreLinks] - Overrides the global `ignoreLinks` setting for this menu. Can be set to `false` to enable menus on links for this instance only.
  * @property {boolean} [ignoreButtons] - Overrides the global `ignoreButtons` setting for this menu.
+ * @property {boolean} [searchable=false] - If true, a search box under the header filters the commands (including those of submenus) by label.
+ * @property {number} [maxHeight] - Overrides the global `maxHeight` option for this menu.
+ * @property {'list'|'grid'} [layout='list'] - 'grid' displays the items as tiles (e.g. for colour, emoji or tag pickers), navigable with the four arrow keys.
+ * @property {number} [columns=4] - The number of columns of a menu with the 'grid' layout.
+ * @property {string|string[]} [extends] - The ID(s) of the menu(s) this menu inherits its commands from, merged by command ID in order.
+ * Its own `commands` then replace the inherited commands with the same ID, change them with `{ id, patch }` items (see `CommandPatch`),
+ * or are added to them, at the position given by their `before`/`after` properties. Changes to a base menu flow to the menus extending it.
  */
 
 /**
@@ -124,30 +210,71 @@ class QuickCTX {
     constructor(options = {}) {
         this.isTouchDevice =
             "ontouchstart" in window || navigator.maxTouchPoints > 0;
+        this.isMacPlatform = detectMacPlatform();
 
         const defaultSubmenuArrow = `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 16 16"><path fill="currentColor" d="M6.22 3.22a.75.75 0 0 1 1.06 0l4.25 4.25a.75.75 0 0 1 0 1.06l-4.25 4.25a.75.75 0 0 1-1.06-1.06L9.94 8L6.22 4.28a.75.75 0 0 1 0-1.06z"/></svg>`;
 
+        const defaultCheckMark = `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 16 16"><path fill="currentColor" d="M13.78 4.22a.75.75 0 0 1 0 1.06l-7.25 7.25a.75.75 0 0 1-1.06 0L2.22 9.28a.75.75 0 0 1 1.06-1.06L6 10.94l6.72-6.72a.75.75 0 0 1 1.06 0z"/></svg>`;
+
+        const defaultRadioMark = `<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 16 16"><circle fill="currentColor" cx="8" cy="8" r="3.5"/></svg>`;
+
         const defaultOptions = {
             defaultTrigger: "contextmenu", //choice of trigger
             defaultMobileTrigger: "tap",
             defaultCloseTrigger: "auto",
-            overlapStrategy: "closest", // closest or deepest
+            overlapStrategy: "closest", // closest, deepest or merge
+            mergeSectionHeaders: false,
             globalFilterStrategy: "hide", // hide or gray out filtered commands
             submenuArrow: defaultSubmenuArrow,
+            checkMark: defaultCheckMark,
+            radioMark: defaultRadioMark,
+            keepOpenOnToggle: false,
+            keepOpenWhilePending: false,
+            confirmText: "Click again to confirm",
+            maxHeight: null,
+            searchPlaceholder: "Search…",
+            noResultsText: "No results",
+            loadingText: "Loading…",
+            loadErrorText: "Failed to load",
             ignoreButtons: true,
             ignoreLinks: true,
+            focusableTargets: false,
             classes: {
                 // css classes to assign to various elements
                 container: "quickctx-container",
                 header: "quickctx-header",
                 list: "quickctx-list",
+                grid: "quickctx-list--grid",
                 item: "quickctx-item",
                 separator: "quickctx-separator",
                 sublist: "quickctx-sublist",
                 sublistCommand: "quickctx-sublist-command",
                 disabled: "quickctx-item--disabled",
                 hidden: "quickctx-item--hidden",
+                active: "quickctx-item--active",
                 icon: "quickctx-icon",
+                shortcut: "quickctx-shortcut",
+                label: "quickctx-label",
+                control: "quickctx-control",
+                swatch: "quickctx-swatch",
+                description: "quickctx-description",
+                hint: "quickctx-hint",
+                badge: "quickctx-badge",
+                danger: "quickctx-item--danger",
+                confirming: "quickctx-item--confirming",
+                search: "quickctx-search",
+                breadcrumb: "quickctx-breadcrumb",
+                noResults: "quickctx-item--no-results",
+                tooltip: "quickctx-tooltip",
+                scrollUp: "quickctx-scroll-up",
+                scrollDown: "quickctx-scroll-down",
+                row: "quickctx-row",
+                rowButton: "quickctx-row-button",
+                check: "quickctx-check",
+                checked: "quickctx-item--checked",
+                loading: "quickctx-item--loading",
+                error: "quickctx-item--error",
+                pending: "quickctx-item--pending",
                 opening: "quickctx--opening",
                 open: "quickctx--open",
                 closing: "quickctx--closing",
@@ -161,6 +288,10 @@ class QuickCTX {
                 hoverMenuCloseDelay: 300, // Option for hover-triggered menus
                 submenuCloseDelay: 200, // Delay before closing submenus
                 holdDuration: 500,
+                typeaheadResetDelay: 500,
+                confirmTimeout: 3000,
+                scrollSpeed: 300,
+                tooltipDelay: 500,
             },
         };
 
@@ -205,6 +336,14 @@ class QuickCTX {
          */
         this.functionActionMap = new Map();
 
+        /**
+         * The commands declared by the menus using `extends` (commands and patches), keyed by menu ID.
+         * Their `commands` are rebuilt from these and from their base menus whenever one of them changes.
+         * @type {Map<string, Array<MenuCommand|CommandPatch>>}
+         * @private
+         */
+        this.ownMenuCommands = new Map();
+
         /**
          * The DOM element for the currently visible main menu.
          * @type {HTMLElement|null}
@@ -249,6 +388,77 @@ class QuickCTX {
 
         this.submenuCloseTimeout = null;
 
+        /**
+         * The menu item (LI) currently highlighted by keyboard navigation or pointer hover.
+         * @type {HTMLElement|null}
+         * @private
+         */
+        this.activeItemElement = null;
+
+        /**
+         * Associates each rendered menu item (LI) with the data needed to navigate and activate it.
+         * @type {WeakMap<HTMLElement, {command: MenuCommand, targetElement: HTMLElement, isDisabled: boolean, label: string}>}
+         * @private
+         */
+        this.menuItemData = new WeakMap();
+
+        /**
+         * The characters typed so far to jump to an item by its label (type-ahead).
+         * @type {string}
+         * @private
+         */
+        this.typeaheadBuffer = "";
+
+        /**
+         * A timeout ID for resetting the type-ahead buffer.
+         * @type {number|null}
+         * @private
+         */
+        this.typeaheadTimeout = null;
+
+        /**
+         * The tooltip element, created when a tooltip is first shown and reused afterwards.
+         * @type {HTMLElement|null}
+         * @private
+         */
+        this.tooltipElement = null;
+
+        /**
+         * A timeout ID for the delayed display of a tooltip.
+         * @type {number|null}
+         * @private
+         */
+        this.tooltipTimeout = null;
+
+        /**
+         * The scrolling started by hovering a scroll arrow, if any: the list being scrolled and its animation frame.
+         * @type {{ul: HTMLElement, frame: number}|null}
+         * @private
+         */
+        this.arrowScroll = null;
+
+        /**
+         * The item waiting for a confirming click, if any, with the timeout cancelling the confirmation.
+         * @type {{element: HTMLElement, labelElement: HTMLElement|null, originalLabel: string|undefined, originalAriaLabel: string|null, timeout: number}|null}
+         * @private
+         */
+        this.pendingConfirmation = null;
+
+        /**
+         * Lazily loaded submenus, kept until the menu is closed. Submenus with `cacheSubCommands`
+         * are stored in the command's own cache instead.
+         * @type {Map<MenuCommand, MenuCommand[]>}
+         * @private
+         */
+        this.loadedSubCommands = new Map();
+
+        /**
+         * Submenus currently being loaded, per menu element, to avoid calling the same loader twice for one menu.
+         * @type {Map<MenuCommand, Map<HTMLElement, Promise>>}
+         * @private
+         */
+        this.pendingSubCommandLoads = new Map();
+
         this.touchState = {};
 
         // EVENT HANDLERS TO OPEN AND CLOSE MENUS
@@ -256,12 +466,14 @@ class QuickCTX {
         // Bind 'this' context for all event handlers consistently to maintain instance scope.
         this._boundHandleTrigger = this._handleTriggerEvent.bind(this);
         this._boundHandleKeydown = this._handleKeydown.bind(this);
+        this._boundHandleGlobalKeydown = this._handleGlobalKeydown.bind(this);
         this._boundHandleScroll = this._handleScroll.bind(this);
         this._boundOutsideClick = this._handleOutsideClick.bind(this);
         this._boundScheduleAllSubmenusClose =
             this._scheduleAllSubmenusClose.bind(this);
         this._boundCancelAllSubmenusClose =
             this._cancelAllSubmenusClose.bind(this);
+        this._boundHideTooltip = this._hideTooltip.bind(this);
 
         // for hover-triggered menus
         this._boundHandleHoverEnter = this._cancelHoverHide.bind(this);
@@ -500,6 +712,10 @@ class QuickCTX {
         });
 
         document.removeEventListener("touchstart", this._boundHandleTouchStart);
+        document.removeEventListener("keydown", this._boundHandleGlobalKeydown);
+
+        // Keyboard users can always open menus, whatever the configured pointer triggers are.
+        document.addEventListener("keydown", this._boundHandleGlobalKeydown);
 
         if (this.isTouchDevice) {
             document.addEventListener(
@@ -541,6 +757,91 @@ class QuickCTX {
         });
     }
 
+    /**
+     * Returns the bound elements contributing to the menu of a target: the target itself and, with the 'merge'
+     * overlap strategy, every bound ancestor opened by the same trigger. An ancestor bound to a menu already
+     * collected is skipped, so that nested elements sharing a menu do not repeat its commands.
+     * @param {HTMLElement} targetElement - The innermost bound element.
+     * @returns {HTMLElement[]} The bound elements, from the innermost outwards.
+     * @private
+     */
+    _getMenuTargets(targetElement) {
+        if (this.options.overlapStrategy !== "merge") return [targetElement];
+
+        const config =
+            this.menuConfigurations[targetElement.dataset.customCtxmenu];
+        const trigger = config?.triggerEvent || this.options.defaultTrigger;
+        const menuIds = new Set();
+        const targets = [];
+
+        for (
+            let element = targetElement;
+            element;
+            element = element.parentElement?.closest("[data-custom-ctxmenu]")
+        ) {
+            const menuConfig =
+                this.menuConfigurations[element.dataset.customCtxmenu];
+            if (
+                !menuConfig ||
+                menuIds.has(menuConfig.id) ||
+                (menuConfig.triggerEvent || this.options.defaultTrigger) !==
+                    trigger
+            )
+                continue;
+
+            menuIds.add(menuConfig.id);
+            targets.push(element);
+        }
+
+        return targets;
+    }
+
+    /**
+     * Returns the configuration of the menu to show for a target. With the 'merge' overlap strategy and several
+     * bound elements, it combines their menus: the options of the innermost menu apply, and the commands of each
+     * menu form a section rendered and executed against the element that contributed it.
+     * @param {HTMLElement} targetElement - The innermost bound element.
+     * @returns {ContextMenuConfigOptions|undefined} The configuration, with a `sections` array if menus were merged.
+     * @private
+     */
+    _getMenuConfigForTarget(targetElement) {
+        const config =
+            this.menuConfigurations[targetElement.dataset.customCtxmenu];
+        const targets = this._getMenuTargets(targetElement);
+        if (!config || targets.length < 2) return config;
+
+        const withHeaders = this.options.mergeSectionHeaders;
+        const sections = targets.map((element) => {
+            const menuConfig =
+                this.menuConfigurations[element.dataset.customCtxmenu];
+            const targetType = this._getTargetType(element);
+
+            return {
+                menuId: menuConfig.id,
+                targetElement: element,
+                targetType,
+                commands: menuConfig.commands,
+                filterStrategy:
+                    menuConfig.filterStrategy ||
+                    this.options.globalFilterStrategy,
+                header: withHeaders
+                    ? this._formatHeaderText(
+                          menuConfig.headerTextTemplate,
+                          targetType
+                      )
+                    : "",
+            };
+        });
+
+        return {
+            ...config,
+            // Each section is headed by its own menu's header instead.
+            headerTextTemplate: withHeaders ? "" : config.headerTextTemplate,
+            commands: sections.flatMap((section) => section.commands),
+            sections,
+        };
+    }
+
     /**
      * Handles the trigger event for showing the context menu.
      * @param {Event} event - The event that triggered the context menu (e.g., 'contextmenu', 'click', 'mouseover').
@@ -628,33 +929,372 @@ class QuickCTX {
         )
             return;
 
+        const menuConfig = this._getMenuConfigForTarget(targetElement);
+
         if (
             eventTriggerType === "hover" &&
             this.options.animations.hoverMenuOpenDelay > 0
         ) {
             this._cancelHoverOpen();
             this.hoverOpenTimeout = setTimeout(() => {
-                this._openMenu(config, targetElement, event);
+                this._openMenu(menuConfig, targetElement, event);
             }, this.options.animations.hoverMenuOpenDelay);
         } else {
-            this._openMenu(config, targetElement, event);
+            this._openMenu(menuConfig, targetElement, event);
         }
     }
 
     /**
-     * Handles the key "escape" event to close any active menu instantly.
+     * Handles keyboard interaction while a menu is open: "Escape" closes any active menu instantly,
+     * arrows, Home and End move the active item, Enter/Space activate it (or open its submenu) and Left/Right navigate submenus.
+     * In menus with the 'grid' layout, the four arrows move between tiles, Left/Right navigating submenus at the edges of a row.
+     * @param {KeyboardEvent} event - The keydown event.
      * @private
      */
     _handleKeydown(event) {
-        if (event.key === "Escape")
+        if (event.key === "Escape") {
             this._hideMenu(this.activeMenuElement, false);
+            return;
+        }
+
+        if (!this.activeMenuElement) return;
+
+        if (event.target === this._getSearchInput()) {
+            this._handleSearchKeydown(event);
+            return;
+        }
+
+        if (this._getItemControl(this._getEventItem(event)) !== null) {
+            // Inside an item's control, Tab moves between items and the other keys belong to the control.
+            if (event.key === "Tab") {
+                this._moveActiveItem(event.shiftKey ? -1 : 1);
+                event.preventDefault();
+                return;
+            }
+            if (this._isControlKey(event)) return;
+        }
+
+        // Printable characters jump to the matching item. Space only counts as a character
+        // while a search is in progress, otherwise it activates the item.
+        const isTypeaheadKey =
+            event.key.length === 1 &&
+            !event.ctrlKey &&
+            !event.metaKey &&
+            !event.altKey &&
+            (event.key !== " " || this.typeaheadBuffer !== "");
+
+        if (isTypeaheadKey) {
+            this._handleTypeahead(event.key);
+            event.preventDefault();
+            return;
+        }
+
+        const gridList = this._getCurrentGridList();
+
+        switch (event.key) {
+            case "ArrowDown":
+                if (gridList) this._moveActiveItemInGrid(gridList, "down");
+                else this._moveActiveItem(1);
+                break;
+            case "ArrowUp":
+                if (gridList) this._moveActiveItemInGrid(gridList, "up");
+                else this._moveActiveItem(-1);
+                break;
+            case "Home":
+                this._moveActiveItem("first");
+                break;
+            case "End":
+                this._moveActiveItem("last");
+                break;
+            case "ArrowRight":
+                if (!gridList || !this._moveActiveItemInGrid(gridList, "right"))
+                    this._openActiveSubmenu();
+                break;
+            case "ArrowLeft":
+                if (!gridList || !this._moveActiveItemInGrid(gridList, "left"))
+                    this._closeActiveSubmenu();
+                break;
+            case "Enter":
+            case " ": {
+                if (!this.activeItemElement?.isConnected) break;
+
+                const { command } = this.menuItemData.get(
+                    this.activeItemElement
+                );
+                if (this._hasSubmenu(command)) this._openActiveSubmenu();
+                else this.activeItemElement.click();
+                break;
+            }
+            default:
+                return;
+        }
+
+        // Any navigation key ends the current type-ahead search.
+        this.typeaheadBuffer = "";
+
+        // Prevent the page from scrolling (which would close the menu) or reacting to the key.
+        event.preventDefault();
+    }
+
+    /**
+     * Handles the keys pressed in the search box: ArrowUp/ArrowDown move the active result, Enter runs it
+     * (or opens its submenu) and the other keys are left to the search box.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @private
+     */
+    _handleSearchKeydown(event) {
+        switch (event.key) {
+            case "ArrowDown":
+                this._moveActiveItem(1);
+                break;
+            case "ArrowUp":
+                this._moveActiveItem(-1);
+                break;
+            case "Enter": {
+                const command =
+                    this.activeItemElement?.isConnected &&
+                    this.menuItemData.get(this.activeItemElement)?.command;
+                if (command && this._hasSubmenu(command))
+                    this._openActiveSubmenu();
+                else this.activeItemElement?.click();
+                break;
+            }
+            default:
+                return;
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * Handles keydown events on the whole document, opening the menu of the focused element
+     * when the user presses Shift+F10 or the ContextMenu key, and running command shortcuts.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @private
+     */
+    _handleGlobalKeydown(event) {
+        const isMenuKey =
+            event.key === "ContextMenu" ||
+            (event.key === "F10" && event.shiftKey);
+
+        if (!isMenuKey) {
+            this._handleShortcut(event);
+            return;
+        }
+
+        if (this._menuHasFocus()) return;
+
+        const targetElement = event.target.closest?.("[data-custom-ctxmenu]");
+        if (!targetElement) return;
+
+        const menuId = targetElement.getAttribute("data-custom-ctxmenu");
+        const config = this.menuConfigurations[menuId];
+        if (!config) {
+            this._log({
+                event: "handleGlobalKeydown",
+                message: `No menu configuration found for ID: ${menuId}`,
+                data: { menuId },
+                isError: true,
+            });
+            return;
+        }
+
+        event.preventDefault();
+        this._suppressNextContextMenu();
+
+        this._openMenu(
+            config,
+            targetElement,
+            this._createAnchorEvent(targetElement)
+        );
+
+        if (this.activeMenuElement) this._moveActiveItem("first");
+    }
+
+    /**
+     * Runs the command whose shortcut matches the pressed keys. The command is looked up in the menu
+     * of the focused bound element (or the hovered one, or the one with an open menu), then in the menus
+     * of its bound ancestors.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @private
+     */
+    _handleShortcut(event) {
+        if (event.defaultPrevented) return;
+
+        // Plain keys are left alone while the user is typing in a field or searching an open menu by label.
+        const isEditing =
+            event.target.isContentEditable ||
+            ["INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName);
+        const hasModifier = event.ctrlKey || event.metaKey || event.altKey;
+        if ((isEditing || this._menuHasFocus()) && !hasModifier) return;
+
+        let startElement =
+            (this.activeMenuElement && this.currentTargetElement) ||
+            event.target.closest?.("[data-custom-ctxmenu]");
+
+        // Looking up the hovered element is costly, so it is only done for keys used as a shortcut somewhere.
+        if (!startElement) {
+            if (!this._isRegisteredShortcut(event)) return;
+            const hoveredElements = document.querySelectorAll(":hover");
+            startElement = hoveredElements[hoveredElements.length - 1];
+        }
+
+        let targetElement = startElement?.closest("[data-custom-ctxmenu]");
+
+        while (targetElement) {
+            const config =
+                this.menuConfigurations[targetElement.dataset.customCtxmenu];
+            const command =
+                config &&
+                this._findShortcutCommand(
+                    config.commands,
+                    event,
+                    targetElement
+                );
+
+            if (command) {
+                event.preventDefault();
+
+                const label = this._resolveCommandProperty(
+                    command,
+                    "label",
+                    targetElement
+                );
+                this._log({
+                    event: "shortcut",
+                    message: `Running command "${label}" from shortcut ${command.shortcut}`,
+                    data: { commandId: command.id },
+                });
+
+                if (this.activeMenuElement)
+                    this._hideMenu(this.activeMenuElement);
+                this._executeCommand(command, targetElement);
+                return;
+            }
+
+            targetElement = targetElement.parentElement?.closest(
+                "[data-custom-ctxmenu]"
+            );
+        }
+    }
+
+    /**
+     * Checks whether a keyboard event matches the shortcut of any command, in any menu.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {boolean}
+     * @private
+     */
+    _isRegisteredShortcut(event) {
+        const matches = (commands) =>
+            commands.some((command) => {
+                const parsed = parseShortcut(
+                    command.shortcut,
+                    this.isMacPlatform
+                );
+                return (
+                    (parsed && matchesShortcut(event, parsed)) ||
+                    (command.subCommands?.length > 0 &&
+                        matches(command.subCommands))
+                );
+            });
+
+        return Object.values(this.menuConfigurations).some((config) =>
+            matches(config.commands)
+        );
+    }
+
+    /**
+     * Recursively searches a command tree for an available action command whose shortcut matches a keyboard event.
+     * Hidden, disabled and filtered-out commands (and the content of such sublists) are skipped, as are commands with `confirm`.
+     * @param {MenuCommand[]} commands - The commands to search.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @param {HTMLElement} targetElement - The element the shortcut applies to.
+     * @returns {MenuCommand|null} The matching command, if any.
+     * @private
+     */
+    _findShortcutCommand(commands, event, targetElement) {
+        for (const command of commands) {
+            if (
+                !this._resolveCommandProperty(
+                    command,
+                    "visible",
+                    targetElement
+                ) ||
+                this._resolveCommandProperty(
+                    command,
+                    "disabled",
+                    targetElement
+                ) ||
+                !this._commandMatchesTargetType(
+                    command,
+                    this._getTargetType(targetElement)
+                )
+            )
+                continue;
+
+            // Shortcuts cannot ask for a confirmation, so commands with `confirm` only run from the menu.
+            if (
+                this._isExecutableCommand(command) &&
+                command.shortcut &&
+                !command.confirm
+            ) {
+                const parsed = parseShortcut(
+                    command.shortcut,
+                    this.isMacPlatform
+                );
+                if (parsed && matchesShortcut(event, parsed)) return command;
+            }
+
+            if (command.subCommands?.length > 0) {
+                const found = this._findShortcutCommand(
+                    command.subCommands,
+                    event,
+                    targetElement
+                );
+                if (found) return found;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Some platforms fire a native `contextmenu` event right after the ContextMenu key is pressed.
+     * This swallows it, so that neither the browser menu nor a second QuickCTX menu is opened.
+     * @private
+     */
+    _suppressNextContextMenu() {
+        const suppress = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+        };
+
+        document.addEventListener("contextmenu", suppress, {
+            capture: true,
+            once: true,
+        });
+        setTimeout(
+            () =>
+                document.removeEventListener("contextmenu", suppress, {
+                    capture: true,
+                }),
+            500
+        );
     }
 
     /**
      * Handles the scroll event to close any active menu instantly.
+     * @param {Event} [event] - The scroll event.
      * @private
      */
-    _handleScroll() {
+    _handleScroll(event) {
+        // Scrolling a long menu does not close it.
+        if (
+            event?.target instanceof Node &&
+            this._getMenuLevels().some((level) => level.contains(event.target))
+        )
+            return;
+
         if (this.activeMenuElement) {
             this._hideMenu(this.activeMenuElement, false);
         }
@@ -693,64 +1333,441 @@ class QuickCTX {
         this._hideMenu(this.activeMenuElement, false);
     }
 
-    _setupHoverListeners(target, menu) {
-        target.addEventListener("mouseleave", this._boundHandleHoverLeave);
-        menu.addEventListener("mouseleave", this._boundHandleHoverLeave);
-        target.addEventListener("mouseenter", this._boundHandleHoverEnter);
-        menu.addEventListener("mouseenter", this._boundHandleHoverEnter);
-    }
-
-    /********** OPEN/CLOSE LOGIC **********/
+    /********** KEYBOARD NAVIGATION **********/
 
     /**
-     * Handles the logic of building and displaying a menu for a given trigger.
-     * This method centralizes the opening logic to be called either directly or with a delay.
-     * @param {object} config - The menu configuration.
-     * @param {HTMLElement} targetElement - The element that triggered the menu.
-     * @param {Event} event - The original trigger event.
+     * Returns the containers of the main menu and of every open submenu, from the outermost to the innermost.
+     * @returns {HTMLElement[]}
      * @private
      */
-    _openMenu(config, targetElement, event) {
-        // If another menu is already active, start its closing animation without waiting.
-        if (
-            this.activeMenuElement &&
-            !this.activeMenuElement.classList.contains(
-                this.options.classes.closing
-            )
-        ) {
-            this._hideMenu(this.activeMenuElement, false); // false = with animation
-        }
-
-        event.preventDefault();
-        event.stopPropagation();
+    _getMenuLevels() {
+        if (!this.activeMenuElement) return [];
 
-        this.currentTargetElement = targetElement;
+        return [
+            this.activeMenuElement,
+            ...this.activeSubmenus.map((submenuInfo) => submenuInfo.element),
+        ];
+    }
 
-        const targetType =
-            targetElement.getAttribute("data-custom-ctxmenu-type") || "default";
+    /**
+     * Returns the index (in `_getMenuLevels()`) of the menu level the keyboard is working on:
+     * the level holding the active item, or the innermost open level if there is no active item.
+     * @returns {number}
+     * @private
+     */
+    _getCurrentLevelIndex() {
+        const levels = this._getMenuLevels();
+        const activeLevel = this.activeItemElement?.isConnected
+            ? levels.findIndex((level) =>
+                  level.contains(this.activeItemElement)
+              )
+            : -1;
+
+        return activeLevel !== -1 ? activeLevel : levels.length - 1;
+    }
 
-        const newMenuElement = createElement(
-            "div",
-            this.options.classes.container
-        );
+    /**
+     * Returns the items of a menu level that can be reached with the keyboard (no separators or disabled commands).
+     * @param {HTMLElement} menuElement - The menu container.
+     * @returns {HTMLElement[]}
+     * @private
+     */
+    _getNavigableItems(menuElement) {
+        if (!menuElement) return [];
 
-        Object.assign(newMenuElement.style, {
-            position: "fixed",
-            zIndex: "10000",
-            display: "none",
+        return Array.from(menuElement.querySelectorAll("li")).filter((li) => {
+            const itemData = this.menuItemData.get(li);
+            return itemData && !itemData.isDisabled;
         });
+    }
 
-        document.body.appendChild(newMenuElement);
+    /**
+     * Marks an item as the active one, removing the highlight from the previous item.
+     * Items hosting a control move the focus to the control, so that it can be used right away.
+     * @param {HTMLElement|null} li - The item to activate, or `null` to clear the active item.
+     * @param {boolean} [moveFocus=true] - If false, the item is only highlighted and the focus stays where it is.
+     * @private
+     */
+    _setActiveItem(li, moveFocus = true) {
+        if (this.activeItemElement === li) return;
 
-        this.activeMenuElement = newMenuElement;
+        this.activeItemElement?.classList.remove(this.options.classes.active);
+        this.activeItemElement = li;
 
-        this._buildAndShowMenu(
-            config,
-            targetElement,
-            targetType,
-            event.clientX,
-            event.clientY
-        );
+        const searchInput = this._getSearchInput();
+
+        if (li) {
+            li.classList.add(this.options.classes.active);
+
+            // While searching, the focus stays in the search box and the active item is only referenced.
+            if (searchInput && document.activeElement === searchInput) {
+                if (!li.id) li.id = createUniqueId("quickctx-item-");
+                searchInput.setAttribute("aria-activedescendant", li.id);
+            } else if (moveFocus) {
+                (this._getItemControl(li) || li).focus({ preventScroll: true });
+            }
+            this._scrollItemIntoView(li);
+        } else {
+            searchInput?.removeAttribute("aria-activedescendant");
+        }
+    }
+
+    /**
+     * Returns the menu item a keyboard event comes from, if its target is inside one of the item's controls.
+     * @param {KeyboardEvent} event - The keyboard event.
+     * @returns {HTMLElement|null} The item, or `null` if the event does not come from a control.
+     * @private
+     */
+    _getEventItem(event) {
+        const li = event.target.closest?.("li");
+        return li && li !== event.target && this.menuItemData.has(li)
+            ? li
+            : null;
+    }
+
+    /**
+     * Returns the element to focus in an item hosting a control: the field or slider, the selected
+     * (otherwise the first) swatch, or the first enabled button of a row.
+     * @param {HTMLElement|null} li - The menu item.
+     * @returns {HTMLElement|null} The control, or `null` if the item does not host one.
+     * @private
+     */
+    _getItemControl(li) {
+        const command = li && this.menuItemData.get(li)?.command;
+
+        if (command?.type === "row")
+            return (
+                Array.from(li.querySelectorAll("button")).find(
+                    (button) => button.getAttribute("aria-disabled") !== "true"
+                ) || null
+            );
+
+        if (!command || !this._isControlCommand(command)) return null;
+
+        if (command.type === "swatches") {
+            const swatches = Array.from(li.querySelectorAll("button"));
+            return (
+                swatches.find(
+                    (swatch) => swatch.getAttribute("aria-pressed") === "true"
+                ) ||
+                swatches[0] ||
+                null
+            );
+        }
+
+        return li.querySelector("input");
+    }
+
+    /**
+     * Checks whether a key pressed inside a control is meant for the control rather than for menu navigation.
+     * Text fields and swatch rows leave ArrowUp/ArrowDown to the menu, number fields and sliders keep them.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {boolean}
+     * @private
+     */
+    _isControlKey(event) {
+        if (!["ArrowUp", "ArrowDown"].includes(event.key)) return true;
+
+        return (
+            event.target.tagName === "INPUT" &&
+            ["number", "range"].includes(event.target.type)
+        );
+    }
+
+    /**
+     * Returns true if the user is typing in a text or number field of the open menu.
+     * @returns {boolean}
+     * @private
+     */
+    _isEditingMenuField() {
+        const focused = document.activeElement;
+        return (
+            focused?.tagName === "INPUT" &&
+            ["text", "number"].includes(focused.type) &&
+            this._menuHasFocus()
+        );
+    }
+
+    /**
+     * Returns true if the keyboard focus is currently inside the main menu or one of its submenus.
+     * @returns {boolean}
+     * @private
+     */
+    _menuHasFocus() {
+        const focused = document.activeElement;
+        return (
+            !!focused &&
+            this._getMenuLevels().some((level) => level.contains(focused))
+        );
+    }
+
+    /**
+     * Moves the active item within the current menu level.
+     * @param {number|'first'|'last'} step - `1`/`-1` to move down/up (wrapping around), or `'first'`/`'last'`.
+     * @private
+     */
+    _moveActiveItem(step) {
+        const levels = this._getMenuLevels();
+        const currentLevel = this._getCurrentLevelIndex();
+        const items = this._getNavigableItems(levels[currentLevel]);
+
+        if (items.length === 0) return;
+
+        // Keyboard navigation takes over: a pending close scheduled by the pointer leaving an item must not fire.
+        this._cancelAllSubmenusClose();
+
+        let nextIndex;
+        const currentIndex = items.indexOf(this.activeItemElement);
+
+        if (step === "first") nextIndex = 0;
+        else if (step === "last") nextIndex = items.length - 1;
+        else if (currentIndex === -1)
+            nextIndex = step > 0 ? 0 : items.length - 1;
+        else nextIndex = (currentIndex + step + items.length) % items.length;
+
+        this._focusItem(items[nextIndex]);
+    }
+
+    /**
+     * Returns the list of the current menu level if it uses the 'grid' layout.
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _getCurrentGridList() {
+        const level = this._getMenuLevels()[this._getCurrentLevelIndex()];
+        const ul = level?.querySelector(
+            "." + this.options.classes.list.split(" ").join(".")
+        );
+
+        return ul?.classList.contains(this.options.classes.grid) ? ul : null;
+    }
+
+    /**
+     * Returns the position of each item of a grid list. Separators and sub-headers span a whole row,
+     * so the items following them start a new row.
+     * @param {HTMLElement} ul - The grid list.
+     * @returns {Array<{li: HTMLElement, row: number, column: number, isDisabled: boolean}>}
+     * @private
+     */
+    _getGridCells(ul) {
+        const columns =
+            parseInt(ul.style.getPropertyValue("--quickctx-grid-columns")) || 1;
+        const cells = [];
+        let row = 0;
+        let column = 0;
+
+        Array.from(ul.children).forEach((li) => {
+            const itemData = this.menuItemData.get(li);
+
+            if (!itemData) {
+                if (column > 0) {
+                    row++;
+                    column = 0;
+                }
+                return;
+            }
+
+            cells.push({ li, row, column, isDisabled: itemData.isDisabled });
+            if (++column === columns) {
+                row++;
+                column = 0;
+            }
+        });
+
+        return cells;
+    }
+
+    /**
+     * Moves the active item of a grid list to the closest enabled tile in a direction.
+     * Left/Right stay on the current row, Up/Down go to the nearest row holding an enabled tile, in the closest column.
+     * @param {HTMLElement} ul - The grid list.
+     * @param {'up'|'down'|'left'|'right'} direction - The direction of the move.
+     * @returns {boolean} False if there is no tile in that direction.
+     * @private
+     */
+    _moveActiveItemInGrid(ul, direction) {
+        const cells = this._getGridCells(ul);
+        const current = cells.find(
+            (cell) => cell.li === this.activeItemElement
+        );
+
+        if (!current) {
+            this._moveActiveItem(
+                direction === "up" || direction === "left" ? -1 : 1
+            );
+            return true;
+        }
+
+        const isHorizontal = direction === "left" || direction === "right";
+        const step = direction === "down" || direction === "right" ? 1 : -1;
+
+        const distance = (cell) =>
+            isHorizontal
+                ? Math.abs(cell.column - current.column)
+                : Math.abs(cell.row - current.row) * cells.length +
+                  Math.abs(cell.column - current.column);
+
+        const next = cells
+            .filter((cell) =>
+                isHorizontal
+                    ? cell.row === current.row &&
+                      Math.sign(cell.column - current.column) === step
+                    : Math.sign(cell.row - current.row) === step
+            )
+            .filter((cell) => !cell.isDisabled)
+            .sort((a, b) => distance(a) - distance(b))[0];
+
+        if (!next) return false;
+
+        this._cancelAllSubmenusClose();
+        this._focusItem(next.li);
+        return true;
+    }
+
+    /**
+     * Makes an item the active one as keyboard navigation does, closing submenus opened from its siblings.
+     * @param {HTMLElement} li - The item to focus.
+     * @private
+     */
+    _focusItem(li) {
+        this._closeSiblingSubmenus(this.menuItemData.get(li).command);
+        this._setActiveItem(li);
+    }
+
+    /**
+     * Adds a typed character to the type-ahead buffer and moves the active item to the next
+     * item of the current level whose label starts with the buffered text.
+     * @param {string} char - The typed character.
+     * @private
+     */
+    _handleTypeahead(char) {
+        clearTimeout(this.typeaheadTimeout);
+        this.typeaheadBuffer += char.toLowerCase();
+        this.typeaheadTimeout = setTimeout(() => {
+            this.typeaheadBuffer = "";
+        }, this.options.animations.typeaheadResetDelay);
+
+        const levels = this._getMenuLevels();
+        const items = this._getNavigableItems(
+            levels[this._getCurrentLevelIndex()]
+        );
+        if (items.length === 0) return;
+
+        // Typing the same letter repeatedly cycles through the items starting with it.
+        const buffer = this.typeaheadBuffer;
+        const isRepeatedChar = buffer.split("").every((c) => c === buffer[0]);
+        const search = isRepeatedChar ? buffer[0] : buffer;
+
+        // A longer prefix may still match the active item, a new search starts from the next one.
+        const activeIndex = items.indexOf(this.activeItemElement);
+        const startIndex =
+            activeIndex === -1
+                ? 0
+                : activeIndex + (search.length === 1 ? 1 : 0);
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[(startIndex + i) % items.length];
+            const { label } = this.menuItemData.get(item);
+
+            if (label.toLowerCase().startsWith(search)) {
+                this._cancelAllSubmenusClose();
+                this._focusItem(item);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Opens the submenu of the active item (if it is a sublist) and activates its first item.
+     * @private
+     */
+    _openActiveSubmenu() {
+        const li = this.activeItemElement;
+        if (!li?.isConnected) return;
+
+        const { command, targetElement, isDisabled } =
+            this.menuItemData.get(li);
+        if (isDisabled || !this._hasSubmenu(command)) return;
+
+        this._cancelAllSubmenusClose();
+        this._cancelSubmenuOpen(command);
+        this._openSubmenu(command, li, targetElement);
+
+        const firstItem = this._getNavigableItems(command.submenuElement)[0];
+        if (firstItem) this._setActiveItem(firstItem);
+    }
+
+    /**
+     * Closes the submenu level holding the active item and activates the command that opened it.
+     * @private
+     */
+    _closeActiveSubmenu() {
+        const currentLevel = this._getCurrentLevelIndex();
+        if (currentLevel < 1) return;
+
+        const { parentCommand } = this.activeSubmenus[currentLevel - 1];
+
+        this._closeSubmenus(currentLevel - 1);
+        this._setActiveItem(parentCommand.element);
+    }
+
+    _setupHoverListeners(target, menu) {
+        target.addEventListener("mouseleave", this._boundHandleHoverLeave);
+        menu.addEventListener("mouseleave", this._boundHandleHoverLeave);
+        target.addEventListener("mouseenter", this._boundHandleHoverEnter);
+        menu.addEventListener("mouseenter", this._boundHandleHoverEnter);
+    }
+
+    /********** OPEN/CLOSE LOGIC **********/
+
+    /**
+     * Handles the logic of building and displaying a menu for a given trigger.
+     * This method centralizes the opening logic to be called either directly or with a delay.
+     * @param {object} config - The menu configuration.
+     * @param {HTMLElement} targetElement - The element that triggered the menu.
+     * @param {Event} event - The original trigger event.
+     * @private
+     */
+    _openMenu(config, targetElement, event) {
+        // If another menu is already active, start its closing animation without waiting.
+        if (
+            this.activeMenuElement &&
+            !this.activeMenuElement.classList.contains(
+                this.options.classes.closing
+            )
+        ) {
+            this._hideMenu(this.activeMenuElement, false); // false = with animation
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.currentTargetElement = targetElement;
+
+        const targetType = this._getTargetType(targetElement);
+
+        const newMenuElement = createElement(
+            "div",
+            this.options.classes.container
+        );
+
+        Object.assign(newMenuElement.style, {
+            position: "fixed",
+            zIndex: "10000",
+            display: "none",
+        });
+
+        document.body.appendChild(newMenuElement);
+
+        this.activeMenuElement = newMenuElement;
+
+        this._buildAndShowMenu(
+            config,
+            targetElement,
+            targetType,
+            event.clientX,
+            event.clientY
+        );
 
         this._log({
             event: "_openMenu",
@@ -761,6 +1778,15 @@ class QuickCTX {
             ? config.mobileTriggerEvent || this.options.defaultMobileTrigger
             : config.triggerEvent || this.options.defaultTrigger;
 
+        // Move focus into the menu so that assistive technologies announce it. Hover menus are
+        // excluded, as they would steal the focus just by moving the pointer across the page.
+        if (trigger !== "hover" && this.activeMenuElement) {
+            (
+                this._getSearchInput() ||
+                this.activeMenuElement.querySelector('[role="menu"]')
+            )?.focus({ preventScroll: true });
+        }
+
         let effectiveCloseTrigger =
             config.closeTriggerEvent || this.options.defaultCloseTrigger;
 
@@ -862,18 +1888,159 @@ class QuickCTX {
             this._boundScheduleAllSubmenusClose
         );
 
-        const rect = parentLi.getBoundingClientRect();
+        parentLi.setAttribute("aria-expanded", "true");
+
+        let commands = command.subCommands;
+
+        if (command.subCommandsLoader) {
+            commands = this._getLoadedSubCommands(command, targetElement);
+
+            if (!commands) {
+                this._loadSubCommands(command, targetElement);
+                commands = [
+                    this._createStatusCommand(
+                        this.options.loadingText,
+                        this.options.classes.loading
+                    ),
+                ];
+            }
+        }
+
+        this._renderSubmenu(command, targetElement, commands);
+    }
+
+    /**
+     * Builds and shows the content of a submenu, next to the item that opens it.
+     * @param {MenuCommand} command - The sublist command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {MenuCommand[]} commands - The commands to display.
+     * @private
+     */
+    _renderSubmenu(command, targetElement, commands) {
+        const rect = command.element.getBoundingClientRect();
         this._buildAndShowMenu(
-            { commands: command.subCommands },
+            { commands, layout: command.layout, columns: command.columns },
             targetElement,
-            targetElement.dataset.customCtxmenuType || "default",
+            this._getTargetType(targetElement),
             rect.right,
             rect.top,
-            subMenuEl,
+            command.submenuElement,
             command
         );
     }
 
+    /**
+     * Returns the already loaded commands of a lazily loaded submenu, if available.
+     * @param {MenuCommand} command - The sublist command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @returns {MenuCommand[]|undefined}
+     * @private
+     */
+    _getLoadedSubCommands(command, targetElement) {
+        return command.cacheSubCommands
+            ? command.subCommandsCache.get(this._getTargetType(targetElement))
+            : this.loadedSubCommands.get(command);
+    }
+
+    /**
+     * Calls the loader of a lazily loaded submenu and, once it settles, shows the loaded
+     * commands (or an error item) in the submenu if it is still open.
+     * @param {MenuCommand} command - The sublist command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @private
+     */
+    _loadSubCommands(command, targetElement) {
+        const menuElement = this.activeMenuElement;
+        const pendingLoads =
+            this.pendingSubCommandLoads.get(command) || new Map();
+        if (pendingLoads.has(menuElement)) return;
+
+        const isStillOpen = () =>
+            this.activeMenuElement === menuElement &&
+            this.activeSubmenus.some(
+                (submenuInfo) => submenuInfo.parentCommand === command
+            );
+
+        const label = this._resolveCommandProperty(
+            command,
+            "label",
+            targetElement
+        );
+
+        this._log({
+            event: "loadSubCommands",
+            message: `Loading submenu for command "${label}"`,
+            data: { commandId: command.id },
+        });
+
+        const loading = Promise.resolve()
+            .then(() => command.subCommandsLoader(targetElement))
+            .then(
+                (subCommands) => {
+                    // The loaded commands depend on the target: they are not part of the command's configuration.
+                    const loadedSubCommands = command.createSubCommands(
+                        Array.isArray(subCommands) ? subCommands : []
+                    );
+
+                    if (command.cacheSubCommands) {
+                        command.subCommandsCache.set(
+                            this._getTargetType(targetElement),
+                            loadedSubCommands
+                        );
+                    } else if (this.activeMenuElement === menuElement) {
+                        this.loadedSubCommands.set(command, loadedSubCommands);
+                    }
+
+                    if (isStillOpen())
+                        this._renderSubmenu(
+                            command,
+                            targetElement,
+                            loadedSubCommands
+                        );
+                },
+                (error) => {
+                    this._log({
+                        event: "loadSubCommands",
+                        message: `Error loading submenu for command "${label}"`,
+                        data: {
+                            commandId: command.id,
+                            error: error?.message,
+                        },
+                        isError: true,
+                    });
+
+                    if (isStillOpen())
+                        this._renderSubmenu(command, targetElement, [
+                            this._createStatusCommand(
+                                this.options.loadErrorText,
+                                this.options.classes.error
+                            ),
+                        ]);
+                }
+            )
+            .finally(() => {
+                pendingLoads.delete(menuElement);
+                if (pendingLoads.size === 0)
+                    this.pendingSubCommandLoads.delete(command);
+            });
+
+        pendingLoads.set(menuElement, loading);
+        this.pendingSubCommandLoads.set(command, pendingLoads);
+    }
+
+    /**
+     * Creates a disabled placeholder command, used to show the loading or error state of a submenu.
+     * @param {string} label - The text to display.
+     * @param {string|string[]} className - The class to add to the rendered item.
+     * @returns {MenuCommand}
+     * @private
+     */
+    _createStatusCommand(label, className) {
+        const command = new MenuCommand({ label, disabled: true });
+        command.statusClass = className;
+        return command;
+    }
+
     _scheduleAllSubmenusClose() {
         this._cancelAllSubmenusClose(); // Previene timer duplicati
         this.submenuCloseTimeout = setTimeout(() => {
@@ -912,6 +2079,11 @@ class QuickCTX {
         const submenu = submenuInfo.element;
         if (!submenu) return;
 
+        submenuInfo.parentCommand?.element?.setAttribute(
+            "aria-expanded",
+            "false"
+        );
+
         // Clean up its listeners
         submenu.removeEventListener("mousemove", this._cancelAllSubmenusClose);
         submenu.removeEventListener(
@@ -939,6 +2111,10 @@ class QuickCTX {
             if (!submenuInfo) continue;
 
             const submenuEl = submenuInfo.element;
+            submenuInfo.parentCommand?.element?.setAttribute(
+                "aria-expanded",
+                "false"
+            );
 
             const close = () => {
                 submenuEl.style.display = "none";
@@ -975,7 +2151,14 @@ class QuickCTX {
             },
         });
 
+        // Give the focus back to the element that opened the menu, if the user was still inside it.
+        if (menuToHide === this.activeMenuElement && this._menuHasFocus()) {
+            this.currentTargetElement?.focus({ preventScroll: true });
+        }
+
         this._closeSubmenus(0, instant);
+        this._hideTooltip();
+        this._stopArrowScroll(menuToHide);
 
         const hide = () => {
             if (menuToHide.parentElement) {
@@ -988,6 +2171,10 @@ class QuickCTX {
                 const target = this.currentTargetElement;
                 this.activeMenuElement = null;
                 this.currentTargetElement = null;
+                this._setActiveItem(null);
+                this.typeaheadBuffer = "";
+                this.loadedSubCommands.clear();
+                this._cancelConfirmation();
 
                 // Clean up global listeners associated with an open menu.
                 document.removeEventListener(
@@ -1093,6 +2280,24 @@ class QuickCTX {
             return false;
         }
 
+        this._openMenu(
+            config,
+            targetElement,
+            this._createAnchorEvent(targetElement, x, y)
+        );
+        return true;
+    }
+
+    /**
+     * Creates a mock trigger event positioned at the given coordinates or, if they are omitted,
+     * at the center of the target element. Used to open menus without a pointer event.
+     * @param {HTMLElement} targetElement - The element the menu is opened for.
+     * @param {number} [x=-1] - Optional X coordinate. If -1, the menu is centered on the target.
+     * @param {number} [y=-1] - Optional Y coordinate. If -1, the menu is centered on the target.
+     * @returns {object} An object exposing the event properties used by `_openMenu`.
+     * @private
+     */
+    _createAnchorEvent(targetElement, x = -1, y = -1) {
         let finalX = x;
         let finalY = y;
 
@@ -1102,15 +2307,12 @@ class QuickCTX {
             finalY = rect.top + rect.height / 2;
         }
 
-        const mockEvent = {
+        return {
             clientX: finalX,
             clientY: finalY,
             preventDefault: () => {},
             stopPropagation: () => {},
         };
-
-        this._openMenu(config, targetElement, mockEvent);
-        return true;
     }
 
     /**
@@ -1121,30 +2323,371 @@ class QuickCTX {
         this._hideMenu(this.activeMenuElement, instant);
     }
 
-    /********** DOM BUILD **********/
-
     /**
-     * Creates the DOM element (LI) for a single menu command.
-     * @private
+     * Re-renders the open menu and its open submenus from their current configuration, keeping the active item,
+     * the keyboard focus, the scroll positions and the search query. This happens automatically when the configuration
+     * of the open menu is changed through the manager; call it after external changes affecting dynamic command properties.
+     * @returns {boolean} Returns `true` if a menu was re-rendered, `false` if no menu is open.
      */
-    _createMenuItemDOM(command, targetElement, isDisabled, isSubmenuItem) {
-        this._log({
-            event: "createMenuItemDOM",
-            message: `Creating DOM for command: ${command.label}`,
-            data: {
-                commandId: command.id,
-                targetElementId: targetElement.id || "unknown",
-                isDisabled,
-                isSubmenuItem,
-            },
-        });
-
+    refreshMenu() {
+        const menuElement = this.activeMenuElement;
+        const targetElement = this.currentTargetElement;
+        if (
+            !menuElement ||
+            !targetElement ||
+            menuElement.classList.contains(this.options.classes.closing)
+        )
+            return false;
+
+        const config = this._getMenuConfigForTarget(targetElement);
+        if (!config) return false;
+
+        // Capture what the user sees and where the keyboard is, by command ID: the items are about to be replaced.
+        const scrollPositions = this._getMenuLevels().map(
+            (level) => level.querySelector("ul")?.scrollTop || 0
+        );
+        const openSubmenuIds = this.activeSubmenus.map(
+            (submenuInfo) => submenuInfo.parentCommand.id
+        );
+        const activeLevel = this.activeItemElement?.isConnected
+            ? this._getCurrentLevelIndex()
+            : -1;
+        const activeCommandId =
+            activeLevel !== -1
+                ? this.menuItemData.get(this.activeItemElement)?.command.id
+                : null;
+        const hadFocus = this._menuHasFocus();
+        const focused = document.activeElement;
+        const searchInput = this._getSearchInput();
+        const searchQuery = searchInput?.value || "";
+        const fieldValue =
+            hadFocus &&
+            focused !== searchInput &&
+            focused.tagName === "INPUT" &&
+            ["text", "number"].includes(focused.type)
+                ? focused.value
+                : null;
+
+        this._cancelConfirmation();
+        this._hideTooltip();
+        this._closeSubmenus(0, true);
+        this._setActiveItem(null);
+
+        this._buildAndShowMenu(
+            config,
+            targetElement,
+            this._getTargetType(targetElement),
+            parseFloat(menuElement.style.left) || 0,
+            parseFloat(menuElement.style.top) || 0
+        );
+
+        this._log({
+            event: "refreshMenu",
+            message: `Menu "${config.id}" re-rendered.`,
+        });
+
+        // The menu is closed when none of its commands remain visible.
+        if (!this.activeMenuElement) return true;
+
+        const newSearchInput = this._getSearchInput();
+        if (newSearchInput && searchQuery) {
+            newSearchInput.value = searchQuery;
+            newSearchInput.dispatchEvent(new Event("input"));
+        }
+
+        for (const commandId of openSubmenuIds) {
+            const levels = this._getMenuLevels();
+            const li = this._findItemByCommandId(
+                levels[levels.length - 1],
+                commandId
+            );
+            const itemData = li && this.menuItemData.get(li);
+            if (!itemData || itemData.isDisabled) break;
+
+            this._openSubmenu(itemData.command, li, itemData.targetElement);
+            if (this._getMenuLevels().length === levels.length) break;
+        }
+
+        this._getMenuLevels().forEach((level, index) => {
+            const ul = level.querySelector("ul");
+            if (!ul || !scrollPositions[index]) return;
+
+            ul.scrollTop = scrollPositions[index];
+            this._updateScrollArrows(ul);
+        });
+
+        if (hadFocus && focused === searchInput)
+            newSearchInput?.focus({ preventScroll: true });
+
+        const levels = this._getMenuLevels();
+        const activeItem =
+            activeCommandId !== null && levels[activeLevel]
+                ? this._findItemByCommandId(
+                      levels[activeLevel],
+                      activeCommandId
+                  )
+                : null;
+
+        if (activeItem && !this.menuItemData.get(activeItem).isDisabled) {
+            this._setActiveItem(activeItem, hadFocus);
+
+            const field = this._getItemControl(activeItem);
+            if (fieldValue !== null && field === document.activeElement)
+                field.value = fieldValue;
+        } else if (hadFocus && !this._menuHasFocus()) {
+            levels[Math.min(activeLevel, levels.length - 1)]
+                ?.querySelector('[role="menu"]')
+                ?.focus({ preventScroll: true });
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns the item of a menu level rendering a command.
+     * @param {HTMLElement} menuElement - The menu container.
+     * @param {string} commandId - The ID of the command.
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _findItemByCommandId(menuElement, commandId) {
+        return (
+            Array.from(menuElement.querySelectorAll("li")).find(
+                (li) => this.menuItemData.get(li)?.command.id === commandId
+            ) || null
+        );
+    }
+
+    /**
+     * Rebuilds the commands of the menus extending a changed menu, then re-renders the open menu if it uses one of them.
+     * @param {string} menuId - The ID of the changed menu configuration.
+     * @private
+     */
+    _propagateMenuChange(menuId) {
+        const changedMenuIds = [
+            menuId,
+            ...this._resolveDescendantMenus(menuId),
+        ];
+
+        if (
+            this.activeMenuElement &&
+            this.currentTargetElement &&
+            this._getMenuTargets(this.currentTargetElement).some((element) =>
+                changedMenuIds.includes(element.dataset.customCtxmenu)
+            )
+        )
+            this.refreshMenu();
+    }
+
+    /********** DOM BUILD **********/
+
+    /**
+     * Resolves whether a command is displayed in the menu of a target, and whether it is disabled:
+     * commands that do not match the target type are hidden or disabled according to the filter strategy.
+     * @param {MenuCommand} command - The command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {string} targetType - The type of the target element.
+     * @param {'hide'|'disable'} filterStrategy - What to do with commands that do not match the target type.
+     * @returns {{isVisible: boolean, isDisabled: boolean}}
+     * @private
+     */
+    _resolveCommandState(command, targetElement, targetType, filterStrategy) {
+        if (!this._resolveCommandProperty(command, "visible", targetElement))
+            return { isVisible: false, isDisabled: true };
+
+        const isDisabled = !!this._resolveCommandProperty(
+            command,
+            "disabled",
+            targetElement
+        );
+
+        if (this._commandMatchesTargetType(command, targetType))
+            return { isVisible: true, isDisabled };
+
+        return filterStrategy === "hide"
+            ? { isVisible: false, isDisabled: true }
+            : { isVisible: true, isDisabled: true };
+    }
+
+    /**
+     * Returns the ARIA role of a menu item for a command.
+     * @param {MenuCommand} command - The command.
+     * @returns {string}
+     * @private
+     */
+    _getItemRole(command) {
+        const roles = { checkbox: "menuitemcheckbox", radio: "menuitemradio" };
+        return roles[command.type] || "menuitem";
+    }
+
+    /**
+     * Creates the DOM element (LI) of a 'row' command: its sub-commands are rendered side by side as compact buttons,
+     * each with its own action, disabled state and target type filtering.
+     * @param {MenuCommand} command - The row command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {boolean} isDisabled - Whether the whole row is disabled.
+     * @param {'hide'|'disable'} filterStrategy - What to do with buttons that do not match the target type.
+     * @returns {HTMLElement|null} The row, or `null` if none of its buttons is displayed.
+     * @private
+     */
+    _createRowDOM(command, targetElement, isDisabled, filterStrategy) {
+        const targetType = this._getTargetType(targetElement);
+        const label = this._resolveCommandProperty(
+            command,
+            "label",
+            targetElement
+        );
+        const li = createElement(
+            "li",
+            [this.options.classes.item, this.options.classes.row],
+            { role: "group", tabindex: "-1" }
+        );
+        if (label) li.setAttribute("aria-label", label);
+
+        let hasEnabledButton = false;
+
+        command.subCommands.forEach((subCommand) => {
+            subCommand.parentCommand = command;
+            if (!this._isExecutableCommand(subCommand)) return;
+
+            const state = this._resolveCommandState(
+                subCommand,
+                targetElement,
+                targetType,
+                filterStrategy
+            );
+            if (!state.isVisible) return;
+
+            const isButtonDisabled = isDisabled || state.isDisabled;
+            const buttonLabel = this._resolveCommandProperty(
+                subCommand,
+                "label",
+                targetElement
+            );
+            const button = createElement(
+                "button",
+                this.options.classes.rowButton,
+                {
+                    type: "button",
+                    role: this._getItemRole(subCommand),
+                    tabindex: "-1",
+                    "aria-label": buttonLabel,
+                    title: buttonLabel,
+                }
+            );
+
+            // Buttons without an icon show their label instead.
+            const icon = this._createIconDOM(subCommand, targetElement);
+            if (icon.classList.contains("quickctx-icon--empty"))
+                button.textContent = buttonLabel;
+            else button.appendChild(icon);
+
+            if (subCommand.variant === "danger")
+                button.classList.add(this.options.classes.danger);
+
+            this._addTooltip(
+                button,
+                subCommand,
+                targetElement,
+                isButtonDisabled
+            );
+
+            if (isButtonDisabled) {
+                button.classList.add(this.options.classes.disabled);
+                button.setAttribute("aria-disabled", "true");
+            } else {
+                hasEnabledButton = true;
+            }
+
+            subCommand.element = button;
+            this._updateCheckedState(subCommand);
+
+            button.addEventListener("mouseenter", () => {
+                if (!isButtonDisabled && !this._isEditingMenuField())
+                    button.focus({ preventScroll: true });
+            });
+            button.addEventListener("click", (event) => {
+                event.stopPropagation();
+                if (isButtonDisabled) return;
+
+                this._runItemCommand(subCommand, button);
+            });
+
+            li.appendChild(button);
+        });
+
+        if (li.children.length === 0) return null;
+
+        command.element = li;
+        this.menuItemData.set(li, {
+            command,
+            targetElement,
+            isDisabled: !hasEnabledButton,
+            label: label || "",
+        });
+
+        li.addEventListener("mouseenter", () => {
+            this._boundCancelAllSubmenusClose();
+            this._closeSiblingSubmenus(command);
+
+            if (hasEnabledButton && !this._isEditingMenuField())
+                this._setActiveItem(li);
+        });
+        li.addEventListener("mouseleave", this._boundScheduleAllSubmenusClose);
+
+        // Left/Right move between the enabled buttons of the row.
+        li.addEventListener("keydown", (event) => {
+            if (!["ArrowLeft", "ArrowRight"].includes(event.key)) return;
+
+            const buttons = Array.from(li.querySelectorAll("button")).filter(
+                (button) => button.getAttribute("aria-disabled") !== "true"
+            );
+            const index = buttons.indexOf(document.activeElement);
+            const step = event.key === "ArrowRight" ? 1 : -1;
+            buttons[(index + step + buttons.length) % buttons.length]?.focus();
+            event.preventDefault();
+        });
+
+        return li;
+    }
+
+    /**
+     * Appends the label of a command to an element. Static labels may contain HTML markup; labels returned by a function
+     * are built from the target (e.g. a file name) and are always rendered as text.
+     * @param {HTMLElement} element - The element receiving the label.
+     * @param {MenuCommand} command - The command.
+     * @param {string} label - The resolved label.
+     * @private
+     */
+    _appendLabel(element, command, label) {
+        if (typeof command.label === "function")
+            element.append(String(label ?? ""));
+        else element.insertAdjacentHTML("beforeend", label ?? "");
+    }
+
+    /**
+     * Creates the DOM element (LI) for a single menu command.
+     * @private
+     */
+    _createMenuItemDOM(command, targetElement, isDisabled, isSubmenuItem) {
+        this._log({
+            event: "createMenuItemDOM",
+            message: `Creating DOM for command: ${command.id}`,
+            data: {
+                commandId: command.id,
+                targetElementId: targetElement.id || "unknown",
+                isDisabled,
+                isSubmenuItem,
+            },
+        });
+
         const li = createElement("li", [this.options.classes.item]);
 
         li.style.position = "relative"; // Ensure the LI is positioned correctly for submenus
 
         if (command.type === "separator") {
             li.classList.add(this.options.classes.separator);
+            li.setAttribute("role", "separator");
             if (command.content) {
                 li.classList.add("quickctx-subheader");
                 if (typeof command.content === "string")
@@ -1162,211 +2705,968 @@ class QuickCTX {
             return li;
         }
 
-        if (isDisabled) li.classList.add(this.options.classes.disabled);
-
-        if (command.iconClass) {
-            const iconSpan = createElement("span", this.options.classes.icon);
+        li.setAttribute("role", this._getItemRole(command));
+        li.setAttribute("tabindex", "-1");
 
-            command.iconClass
-                .split(" ")
-                .filter(Boolean)
-                .forEach((ic) =>
-                    iconSpan.classList.add(ic, ic.replace(".", "_"))
-                );
+        if (this._isCheckableCommand(command)) {
+            const checkSpan = createElement(
+                "span",
+                this.options.classes.check,
+                { "aria-hidden": "true" }
+            );
+            checkSpan.innerHTML =
+                command.type === "radio"
+                    ? this.options.radioMark
+                    : this.options.checkMark;
+            li.appendChild(checkSpan);
+        }
 
-            li.appendChild(iconSpan);
+        if (isDisabled) {
+            li.classList.add(this.options.classes.disabled);
+            li.setAttribute("aria-disabled", "true");
         }
 
-        li.innerHTML = li.innerHTML + command.label;
+        if (command.statusClass) li.classList.add(command.statusClass);
+        if (command.variant === "danger")
+            li.classList.add(this.options.classes.danger);
+
+        li.appendChild(this._createIconDOM(command, targetElement));
+
+        const label = this._resolveCommandProperty(
+            command,
+            "label",
+            targetElement
+        );
+
+        if (this._isControlCommand(command)) {
+            const labelId = createUniqueId("quickctx-label-");
+            li.setAttribute("role", "group");
+            li.setAttribute("aria-labelledby", labelId);
+            const labelSpan = createElement(
+                "span",
+                this.options.classes.label,
+                {
+                    id: labelId,
+                }
+            );
+            this._appendLabel(labelSpan, command, label);
+            li.appendChild(labelSpan);
+            li.appendChild(
+                this._createControlDOM(command, li, labelId, isDisabled)
+            );
+        } else if (command.confirm) {
+            // The label gets its own element, to be swapped with the confirmation text.
+            const labelSpan = createElement("span", this.options.classes.label);
+            this._appendLabel(labelSpan, command, label);
+            li.appendChild(labelSpan);
+        } else {
+            this._appendLabel(li, command, label);
+        }
 
         command.element = li;
+        this._updateCheckedState(command);
+        this.menuItemData.set(li, {
+            command,
+            targetElement,
+            isDisabled,
+            // Decorations such as icons are hidden from assistive technologies and from type-ahead.
+            label: Array.from(li.childNodes)
+                .filter((node) => node.getAttribute?.("aria-hidden") !== "true")
+                .map((node) => node.textContent)
+                .join("")
+                .trim(),
+        });
+
+        const badge = this._resolveCommandProperty(
+            command,
+            "badge",
+            targetElement
+        );
+        if (badge) {
+            const badgeSpan = createElement(
+                "span",
+                this.options.classes.badge,
+                {},
+                typeof badge === "string" ? badge : badge.text
+            );
+            if (badge.color) badgeSpan.style.background = badge.color;
+            li.appendChild(badgeSpan);
+        }
+
+        const description = this._resolveCommandProperty(
+            command,
+            "description",
+            targetElement
+        );
+        if (description) {
+            const descriptionSpan = createElement(
+                "span",
+                this.options.classes.description,
+                { id: createUniqueId("quickctx-description-") },
+                description
+            );
+            li.setAttribute("aria-describedby", descriptionSpan.id);
+            li.appendChild(descriptionSpan);
+        }
+
+        this._addTooltip(li, command, targetElement, isDisabled);
+
+        // Hint and shortcut float to the right: the first one in the DOM is the rightmost.
+        const hint = this._resolveCommandProperty(
+            command,
+            "hint",
+            targetElement
+        );
+        if (hint)
+            li.prepend(
+                createElement("span", this.options.classes.hint, {}, hint)
+            );
+
+        const shortcut = parseShortcut(command.shortcut, this.isMacPlatform);
+        if (shortcut) {
+            li.setAttribute("aria-keyshortcuts", toAriaKeyShortcut(shortcut));
+            // Prepended so that, floating to the right, it stays on the label line.
+            li.prepend(
+                createElement(
+                    "span",
+                    this.options.classes.shortcut,
+                    { "aria-hidden": "true" },
+                    formatShortcut(shortcut, this.isMacPlatform)
+                )
+            );
+        }
 
         li.addEventListener("mouseenter", () => {
             this._boundCancelAllSubmenusClose();
 
             if (isDisabled) return;
 
+            // Moving the pointer must not take the focus away from a field being edited.
+            if (
+                !this._isEditingMenuField() ||
+                li.contains(document.activeElement)
+            )
+                this._setActiveItem(li);
             this._closeSiblingSubmenus(command);
 
             // If this item is a sublist, schedule its opening.
-            if (command.type === "sublist" && command.subCommands?.length > 0) {
+            if (this._hasSubmenu(command)) {
                 this._scheduleSubmenuOpen(command, li, targetElement);
             }
         });
 
         li.addEventListener("mouseleave", this._boundScheduleAllSubmenusClose);
 
-        if (command.type === "sublist" && command.subCommands?.length > 0) {
+        if (this._hasSubmenu(command)) {
             li.classList.add(
                 this.options.classes.sublistCommand,
                 "has-submenu-arrow"
             );
-            const arrowSpan = createElement("span", "submenu-arrow");
+            li.setAttribute("aria-haspopup", "menu");
+            li.setAttribute("aria-expanded", "false");
+
+            const arrowSpan = createElement("span", "submenu-arrow", {
+                "aria-hidden": "true",
+            });
 
             arrowSpan.innerHTML = this.options.submenuArrow;
             li.appendChild(arrowSpan);
         }
 
-        if (command.type === "action") {
+        if (this._isExecutableCommand(command)) {
             //if it's an action, add click listener
             li.addEventListener("click", (event) => {
                 event.stopPropagation();
                 if (isDisabled) return;
 
-                let action = command.action;
-
-                if (typeof action === "string") {
-                    action = this.registeredActions[action];
-                }
-
-                if (action === "undefined") {
-                    this._log({
-                        event: "actionError",
-                        message: `No action registered for command "${command.label}"`,
-                        data: {
-                            commandId: command.id,
-                            commandLabel: command.label,
-                        },
-                        isError: true,
-                    });
-                    throw new Error(
-                        `No action registered for command "${command.label}"`
-                    );
-                }
-
-                if (typeof action === "function") {
-                    try {
-                        action({ target: this.currentTargetElement, command });
-                    } catch (error) {
-                        this._log({
-                            event: "actionError",
-                            message: `Error executing action for command "${command.label}"`,
-                            data: {
-                                commandId: command.id,
-                                commandLabel: command.label,
-                                error: error.message,
-                            },
-                            isError: true,
-                        });
-
-                        throw new Error(
-                            `Error executing action for command "${command.label}": ${error.message}`
-                        );
-                    }
-                }
-
-                this.currentTargetElement?.dispatchEvent(
-                    new CustomEvent("QuickCTXActionSelected", {
-                        detail: {
-                            menuId: this.currentTargetElement?.dataset
-                                .customCtxmenu,
-                            commandId: command.id,
-                            commandLabel: command.label,
-                            targetElement: this.currentTargetElement,
-                            targetType:
-                                this.currentTargetElement?.dataset
-                                    .customCtxmenuType,
-                        },
-                        bubbles: true,
-                        composed: true,
-                    })
-                );
-
-                this._hideMenu(this.activeMenuElement);
+                this._runItemCommand(command, li);
             });
         }
         return li;
     }
 
     /**
-     * Constructs the DOM for a menu based on its configuration.
+     * Adds the tooltip of a command to its item or row button. A disabled command shows its `disabledReason`,
+     * or its `tooltip` if it has none. The text is shown after `animations.tooltipDelay` while the element
+     * is hovered or focused, and is exposed to assistive technologies through `aria-describedby`.
+     * @param {HTMLElement} element - The item or row button.
+     * @param {MenuCommand} command - The command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {boolean} isDisabled - Whether the command is disabled.
      * @private
      */
-    _buildAndShowMenu(
-        config,
-        targetElement,
-        targetType,
-        x,
-        y,
-        parentMenuElement = null,
-        parentCommand = null
-    ) {
-        this._log({
-            event: "buildMenu",
-            message: `Building menu for target type: ${targetType}`,
-            data: {
-                targetElementId: targetElement.id || "unknown",
-                parentMenuId: parentMenuElement ? parentMenuElement.id : null,
-            },
-        });
-
-        // If a parent menu is provided, we are building a submenu.
-        const menuToBuild = parentMenuElement || this.activeMenuElement;
+    _addTooltip(element, command, targetElement, isDisabled) {
+        const text =
+            (isDisabled &&
+                this._resolveCommandProperty(
+                    command,
+                    "disabledReason",
+                    targetElement
+                )) ||
+            this._resolveCommandProperty(command, "tooltip", targetElement);
+        if (!text) return;
+
+        const descriptionSpan = createElement(
+            "span",
+            [],
+            { id: createUniqueId("quickctx-tooltip-"), hidden: "" },
+            text
+        );
+        element.appendChild(descriptionSpan);
+        element.setAttribute(
+            "aria-describedby",
+            [element.getAttribute("aria-describedby"), descriptionSpan.id]
+                .filter(Boolean)
+                .join(" ")
+        );
+        // The tooltip replaces the native one of row buttons.
+        element.removeAttribute("title");
+
+        const show = () => this._scheduleTooltip(element, text);
+        element.addEventListener("mouseenter", show);
+        element.addEventListener("focusin", show);
+        element.addEventListener("mouseleave", this._boundHideTooltip);
+        element.addEventListener("focusout", this._boundHideTooltip);
+    }
 
-        let additionalClasses = config.additionalClasses;
+    /**
+     * Shows a tooltip beside an element after `animations.tooltipDelay`, replacing the current one.
+     * @param {HTMLElement} element - The hovered or focused element.
+     * @param {string} text - The text of the tooltip.
+     * @private
+     */
+    _scheduleTooltip(element, text) {
+        this._hideTooltip();
+        this.tooltipTimeout = setTimeout(
+            () => this._showTooltip(element, text),
+            this.options.animations.tooltipDelay
+        );
+    }
 
-        if (parentMenuElement) {
-            this.activeSubmenus.push({
-                element: menuToBuild,
-                parentCommand: parentCommand,
+    /**
+     * Displays the tooltip on the right of an element, or on its left if there is not enough room.
+     * @param {HTMLElement} element - The element the tooltip describes.
+     * @param {string} text - The text of the tooltip.
+     * @private
+     */
+    _showTooltip(element, text) {
+        if (!element.isConnected) return;
+
+        if (!this.tooltipElement) {
+            // Already exposed through `aria-describedby`: the visual copy is hidden from assistive technologies.
+            this.tooltipElement = createElement(
+                "div",
+                this.options.classes.tooltip,
+                { role: "tooltip", "aria-hidden": "true" }
+            );
+            Object.assign(this.tooltipElement.style, {
+                position: "fixed",
+                zIndex: "10002",
             });
-
-            additionalClasses = this.activeMenuElement.className;
         }
 
-        menuToBuild.innerHTML = "";
+        this.tooltipElement.textContent = text;
+        document.body.appendChild(this.tooltipElement);
 
-        const headerText = (
-            config.headerText ||
-            config.headerTextTemplate ||
-            ""
-        ).replace(/{type}/g, targetType);
-        if (!parentMenuElement && headerText) {
-            menuToBuild.appendChild(
-                createElement(
-                    "div",
-                    this.options.classes.header,
-                    {},
-                    headerText
-                )
-            );
-        }
+        const gap = 4;
+        const rect = element.getBoundingClientRect();
+        const tooltipRect = this.tooltipElement.getBoundingClientRect();
 
-        const ul = createElement("ul", this.options.classes.list);
-        let visibleItems = 0;
-        config.commands.forEach((command) => {
-            if (parentCommand) command.parentCommand = parentCommand; // Hierarchical tracking
+        let left = rect.right + gap;
+        if (left + tooltipRect.width > window.innerWidth)
+            left = Math.max(rect.left - tooltipRect.width - gap, 0);
+        const top = Math.max(
+            Math.min(rect.top, window.innerHeight - tooltipRect.height),
+            0
+        );
 
-            const typeMatch =
-                command.targetTypes.includes("*") ||
-                command.targetTypes.includes(targetType);
+        this.tooltipElement.style.left = `${left}px`;
+        this.tooltipElement.style.top = `${top}px`;
+    }
 
-            if (!command.visible) return;
+    /**
+     * Hides the tooltip and cancels a pending one.
+     * @private
+     */
+    _hideTooltip() {
+        clearTimeout(this.tooltipTimeout);
+        this.tooltipTimeout = null;
+        this.tooltipElement?.remove();
+    }
 
-            let effectiveDisabled = command.disabled;
+    /**
+     * Executes the command of a menu item, then closes the menu unless it must stay open.
+     * Commands with `confirm` only run on a second click, within `animations.confirmTimeout` of the first one.
+     * With `keepOpenWhilePending`, a promise returned by the action keeps the item busy and the menu open until it settles.
+     * @param {MenuCommand} command - The command to execute.
+     * @param {HTMLElement} li - The menu item.
+     * @param {*} [controlValue] - The value committed by the item's control, if any.
+     * @private
+     */
+    _runItemCommand(command, li, controlValue) {
+        if (li.getAttribute("aria-busy") === "true") return;
 
-            if (!typeMatch) {
+        if (command.confirm && this.pendingConfirmation?.element !== li) {
+            this._requestConfirmation(command, li);
+            return;
+        }
+        this._cancelConfirmation();
+
+        // Merged menus run each command against the element that contributed it.
+        const pending = this._executeCommand(
+            command,
+            this.menuItemData.get(li.closest("li"))?.targetElement ||
+                this.currentTargetElement,
+            controlValue
+        );
+
+        if (pending && this.options.keepOpenWhilePending) {
+            const menuElement = this.activeMenuElement;
+            li.classList.add(this.options.classes.pending);
+            li.setAttribute("aria-busy", "true");
+
+            pending.then(() => {
+                li.classList.remove(this.options.classes.pending);
+                li.removeAttribute("aria-busy");
+                if (
+                    this.activeMenuElement === menuElement &&
+                    !this._shouldKeepMenuOpen(command)
+                )
+                    this._hideMenu(menuElement);
+            });
+            return;
+        }
+
+        if (!this._shouldKeepMenuOpen(command))
+            this._hideMenu(this.activeMenuElement);
+    }
+
+    /**
+     * Puts an item in the confirming state: its label is replaced with the confirmation text and the menu stays open
+     * until the item is clicked again, another item is used, the menu closes or the timeout expires.
+     * @param {MenuCommand} command - The command requiring a confirmation.
+     * @param {HTMLElement} element - The menu item (or row button).
+     * @private
+     */
+    _requestConfirmation(command, element) {
+        this._cancelConfirmation();
+
+        const confirmText =
+            typeof command.confirm === "string"
+                ? command.confirm
+                : this.options.confirmText;
+        const labelElement = element.querySelector(
+            "." + this.options.classes.label.split(" ").join(".")
+        );
+
+        this.pendingConfirmation = {
+            element,
+            labelElement,
+            originalLabel: labelElement?.innerHTML,
+            originalAriaLabel: element.getAttribute("aria-label"),
+            timeout: setTimeout(
+                () => this._cancelConfirmation(),
+                this.options.animations.confirmTimeout
+            ),
+        };
+
+        element.classList.add(this.options.classes.confirming);
+        element.setAttribute("aria-label", confirmText);
+        if (element.title) element.title = confirmText;
+        if (labelElement) labelElement.textContent = confirmText;
+
+        this._log({
+            event: "confirm",
+            message: `Waiting for confirmation of command "${command.id}"`,
+            data: { commandId: command.id },
+        });
+    }
+
+    /**
+     * Restores the item waiting for a confirming click, if any.
+     * @private
+     */
+    _cancelConfirmation() {
+        if (!this.pendingConfirmation) return;
+
+        const {
+            element,
+            labelElement,
+            originalLabel,
+            originalAriaLabel,
+            timeout,
+        } = this.pendingConfirmation;
+        this.pendingConfirmation = null;
+        clearTimeout(timeout);
+
+        element.classList.remove(this.options.classes.confirming);
+        if (labelElement) labelElement.innerHTML = originalLabel;
+        if (originalAriaLabel !== null) {
+            element.setAttribute("aria-label", originalAriaLabel);
+            if (element.title) element.title = originalAriaLabel;
+        } else {
+            element.removeAttribute("aria-label");
+        }
+    }
+
+    /**
+     * Creates the control of an 'input', 'range' or 'swatches' command, committing its value through the command's action:
+     * on Enter for fields, on change for sliders and on click for swatches.
+     * @param {MenuCommand} command - The command.
+     * @param {HTMLElement} li - The menu item hosting the control.
+     * @param {string} labelId - The ID of the item's label, used as the control's accessible name.
+     * @param {boolean} isDisabled - Whether the command is disabled.
+     * @returns {HTMLElement} The control element.
+     * @private
+     */
+    _createControlDOM(command, li, labelId, isDisabled) {
+        if (command.type === "swatches") {
+            const row = createElement("div", this.options.classes.control, {
+                role: "group",
+                "aria-labelledby": labelId,
+            });
+
+            command.swatches.forEach((swatch) => {
+                const button = createElement(
+                    "button",
+                    this.options.classes.swatch,
+                    {
+                        type: "button",
+                        tabindex: "-1",
+                        "aria-label": swatch.label || swatch.value,
+                        "aria-pressed":
+                            swatch.value === command.value ? "true" : "false",
+                    }
+                );
+                button.style.background = swatch.value;
+                button.disabled = isDisabled;
+
+                button.addEventListener("click", (event) => {
+                    event.stopPropagation();
+                    row.querySelectorAll("button").forEach((other) =>
+                        other.setAttribute(
+                            "aria-pressed",
+                            other === button ? "true" : "false"
+                        )
+                    );
+                    this._runItemCommand(command, li, swatch.value);
+                });
+                row.appendChild(button);
+            });
+
+            // Left/Right move between the swatches of the row.
+            row.addEventListener("keydown", (event) => {
+                if (!["ArrowLeft", "ArrowRight"].includes(event.key)) return;
+
+                const buttons = Array.from(row.querySelectorAll("button"));
+                const index = buttons.indexOf(document.activeElement);
+                const step = event.key === "ArrowRight" ? 1 : -1;
+                buttons[
+                    (index + step + buttons.length) % buttons.length
+                ]?.focus();
+                event.preventDefault();
+            });
+
+            return row;
+        }
+
+        const isRange = command.type === "range";
+        const input = createElement("input", this.options.classes.control, {
+            type: isRange ? "range" : command.inputType,
+            tabindex: "-1",
+            "aria-labelledby": labelId,
+        });
+
+        ["min", "max", "step", "placeholder"].forEach((attribute) => {
+            if (command[attribute] !== null && command[attribute] !== undefined)
+                input.setAttribute(attribute, command[attribute]);
+        });
+        if (command.value !== null && command.value !== undefined)
+            input.value = command.value;
+        input.disabled = isDisabled;
+
+        const getValue = () =>
+            input.type === "text"
+                ? input.value
+                : input.value === ""
+                ? null
+                : Number(input.value);
+
+        if (isRange) {
+            input.addEventListener("change", () =>
+                this._runItemCommand(command, li, getValue())
+            );
+        } else {
+            input.addEventListener("keydown", (event) => {
+                if (event.key !== "Enter") return;
+                event.preventDefault();
+                this._runItemCommand(command, li, getValue());
+            });
+        }
+
+        return input;
+    }
+
+    /**
+     * Creates the icon of a menu item from the command's `iconClass` and/or `icon`.
+     * Items without an icon get an empty placeholder, kept only if other items of the menu have an icon
+     * so that all labels stay aligned.
+     * @param {MenuCommand} command - The command.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @returns {HTMLElement} The icon `<span>`.
+     * @private
+     */
+    _createIconDOM(command, targetElement) {
+        const iconSpan = createElement("span", this.options.classes.icon, {
+            "aria-hidden": "true",
+        });
+        const iconClass = this._resolveCommandProperty(
+            command,
+            "iconClass",
+            targetElement
+        );
+        const icon = this._resolveCommandProperty(
+            command,
+            "icon",
+            targetElement
+        );
+
+        if (iconClass)
+            iconClass
+                .split(" ")
+                .filter(Boolean)
+                .forEach((ic) =>
+                    iconSpan.classList.add(ic, ic.replace(".", "_"))
+                );
+
+        const source = typeof icon === "string" ? icon.trim() : "";
+
+        if (icon instanceof HTMLElement) {
+            iconSpan.appendChild(icon.cloneNode(true));
+        } else if (source.startsWith("<")) {
+            iconSpan.innerHTML = source;
+        } else if (source.startsWith("#")) {
+            const svgNamespace = "http://www.w3.org/2000/svg";
+            const svg = document.createElementNS(svgNamespace, "svg");
+            const use = document.createElementNS(svgNamespace, "use");
+            use.setAttribute("href", source);
+            svg.appendChild(use);
+            iconSpan.appendChild(svg);
+        } else if (source && isImageUrl(source)) {
+            iconSpan.appendChild(
+                createElement("img", [], { src: source, alt: "" })
+            );
+        } else if (source) {
+            iconSpan.textContent = source;
+        } else if (!iconClass) {
+            iconSpan.classList.add("quickctx-icon--empty");
+        }
+
+        return iconSpan;
+    }
+
+    /**
+     * Returns the value of a command property that may be static or a function of the render context
+     * (`label`, `iconClass`, `icon`, `disabled`, `visible`, `description`, `hint`, `badge`).
+     * If the function throws, the error is logged and the property falls back to a safe value (hidden command, empty label).
+     * @param {MenuCommand} command - The command.
+     * @param {string} property - The name of the property.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @returns {*} The resolved value.
+     * @private
+     */
+    _resolveCommandProperty(command, property, targetElement) {
+        const value = command[property];
+        if (typeof value !== "function") return value;
+
+        try {
+            return value({
+                target: targetElement,
+                targetType: this._getTargetType(targetElement),
+                command,
+            });
+        } catch (error) {
+            this._log({
+                event: "resolveCommandProperty",
+                message: `Error resolving "${property}" of command "${command.id}"`,
+                data: { commandId: command.id, property, error: error.message },
+                isError: true,
+            });
+            const fallbacks = {
+                label: "",
+                iconClass: null,
+                icon: null,
+                disabled: true,
+                visible: false,
+                description: null,
+                hint: null,
+                badge: null,
+                tooltip: null,
+                disabledReason: null,
+            };
+            return fallbacks[property];
+        }
+    }
+
+    /**
+     * Checks whether a command opens a submenu, either with static or lazily loaded commands.
+     * @param {MenuCommand} command - The command to check.
+     * @returns {boolean}
+     * @private
+     */
+    _hasSubmenu(command) {
+        return (
+            command.type === "sublist" &&
+            (!!command.subCommandsLoader || command.subCommands?.length > 0)
+        );
+    }
+
+    /**
+     * Checks whether a command runs an action when selected (as opposed to separators and sublists).
+     * @param {MenuCommand} command - The command to check.
+     * @returns {boolean}
+     * @private
+     */
+    _isExecutableCommand(command) {
+        return command.type === "action" || this._isCheckableCommand(command);
+    }
+
+    /**
+     * Checks whether a command hosts a control committing a value ('input', 'range' and 'swatches' commands).
+     * @param {MenuCommand} command - The command to check.
+     * @returns {boolean}
+     * @private
+     */
+    _isControlCommand(command) {
+        return ["input", "range", "swatches"].includes(command.type);
+    }
+
+    /**
+     * Checks whether a command has a checked state (checkbox and radio commands).
+     * @param {MenuCommand} command - The command to check.
+     * @returns {boolean}
+     * @private
+     */
+    _isCheckableCommand(command) {
+        return command.type === "checkbox" || command.type === "radio";
+    }
+
+    /**
+     * Checks whether the menu should stay open after a command is executed.
+     * @param {MenuCommand} command - The executed command.
+     * @returns {boolean}
+     * @private
+     */
+    _shouldKeepMenuOpen(command) {
+        if (command.keepOpen !== null && command.keepOpen !== undefined)
+            return command.keepOpen;
+
+        return (
+            (this._isCheckableCommand(command) &&
+                this.options.keepOpenOnToggle) ||
+            command.type === "range"
+        );
+    }
+
+    /**
+     * Checks a radio command and unchecks the other radio commands of the same group, anywhere in the menu's command tree.
+     * @param {MenuCommand} command - The radio command to check.
+     * @param {ContextMenuConfigOptions} [config] - The menu configuration the command belongs to.
+     * @private
+     */
+    _checkRadioCommand(command, config) {
+        const uncheckSiblings = (commands) => {
+            commands.forEach((cmd) => {
                 if (
-                    (config.filterStrategy ||
-                        this.options.globalFilterStrategy) === "hide"
+                    cmd !== command &&
+                    cmd.type === "radio" &&
+                    cmd.group === command.group &&
+                    cmd.checked
                 ) {
-                    return;
+                    cmd.checked = false;
+                    this._updateCheckedState(cmd);
+                }
+                if (cmd.subCommands?.length > 0)
+                    uncheckSiblings(cmd.subCommands);
+                // Lazily loaded submenus are kept apart from the command's configuration.
+                if (cmd.subCommandsLoader) {
+                    uncheckSiblings(this.loadedSubCommands.get(cmd) || []);
+                    cmd.subCommandsCache.forEach(uncheckSiblings);
                 }
-                effectiveDisabled = true;
+            });
+        };
+
+        if (config && command.group !== null && command.group !== undefined)
+            uncheckSiblings(config.commands);
+
+        command.checked = true;
+        this._updateCheckedState(command);
+    }
+
+    /**
+     * Reflects the `checked` state of a checkable command on its rendered item, if any.
+     * @param {MenuCommand} command - The command whose item should be updated.
+     * @private
+     */
+    _updateCheckedState(command) {
+        const li = command.element;
+        if (!li || !this._isCheckableCommand(command)) return;
+
+        li.classList.toggle(this.options.classes.checked, !!command.checked);
+        li.setAttribute("aria-checked", command.checked ? "true" : "false");
+    }
+
+    /**
+     * Runs the action of a command and notifies the target element with a `QuickCTXActionSelected` event.
+     * Checkbox commands are toggled first, and their new state is passed to the action as `value`;
+     * radio commands are checked first, and their `value` is passed to the action.
+     * Once the action has finished, a `QuickCTXActionCompleted` or `QuickCTXActionFailed` event is dispatched:
+     * for actions returning a promise, this happens when the promise settles.
+     * @param {MenuCommand} command - The command to execute.
+     * @param {HTMLElement} targetElement - The element the command is executed on.
+     * @param {*} [controlValue] - For 'input', 'range' and 'swatches' commands, the committed value, stored as the command's `value`.
+     * @returns {Promise<boolean>|undefined} If the action returned a promise, a promise resolving to
+     * whether the action succeeded (it never rejects: failures are logged and reported by event).
+     * @private
+     */
+    _executeCommand(command, targetElement, controlValue) {
+        let action = command.action;
+        let value;
+
+        if (command.type === "checkbox") {
+            command.checked = !command.checked;
+            value = command.checked;
+            this._updateCheckedState(command);
+        } else if (command.type === "radio") {
+            this._checkRadioCommand(
+                command,
+                this.menuConfigurations[targetElement?.dataset.customCtxmenu]
+            );
+            value = command.value ?? command.id;
+        } else if (this._isControlCommand(command)) {
+            command.value = controlValue;
+            value = controlValue;
+        }
+
+        if (typeof action === "string") {
+            action = this.registeredActions[action];
+        }
+
+        const detail = {
+            menuId: targetElement?.dataset.customCtxmenu,
+            commandId: command.id,
+            commandLabel: this._resolveCommandProperty(
+                command,
+                "label",
+                targetElement
+            ),
+            targetElement: targetElement,
+            targetType: targetElement?.dataset.customCtxmenuType,
+            group: command.group ?? undefined,
+            value,
+        };
+
+        if (command.action && typeof action !== "function") {
+            this._reportActionFailure(
+                command,
+                targetElement,
+                detail,
+                new Error(`No action registered as "${command.action}"`)
+            );
+            return;
+        }
+
+        let result;
+
+        if (typeof action === "function") {
+            try {
+                result = action({ target: targetElement, command, value });
+            } catch (error) {
+                this._reportActionFailure(
+                    command,
+                    targetElement,
+                    detail,
+                    error
+                );
+                return;
             }
+        }
+
+        this._dispatchActionEvent(
+            "QuickCTXActionSelected",
+            targetElement,
+            detail
+        );
 
-            ul.appendChild(
-                this._createMenuItemDOM(
+        if (typeof result?.then !== "function") {
+            this._dispatchActionEvent(
+                "QuickCTXActionCompleted",
+                targetElement,
+                {
+                    ...detail,
+                    result,
+                }
+            );
+            return;
+        }
+
+        return Promise.resolve(result).then(
+            (resolved) => {
+                this._dispatchActionEvent(
+                    "QuickCTXActionCompleted",
+                    targetElement,
+                    { ...detail, result: resolved }
+                );
+                return true;
+            },
+            (error) => {
+                this._reportActionFailure(
                     command,
                     targetElement,
-                    effectiveDisabled
+                    detail,
+                    error
+                );
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Logs a failed action and notifies the target element with a `QuickCTXActionFailed` event.
+     * @param {MenuCommand} command - The command whose action failed.
+     * @param {HTMLElement} targetElement - The element the command was executed on.
+     * @param {object} detail - The detail of the action events.
+     * @param {*} error - The error thrown or the rejection reason.
+     * @private
+     */
+    _reportActionFailure(command, targetElement, detail, error) {
+        this._log({
+            event: "actionError",
+            message: `Error executing action for command "${detail.commandLabel}"`,
+            data: {
+                commandId: command.id,
+                commandLabel: detail.commandLabel,
+                error: error?.message ?? error,
+            },
+            isError: true,
+        });
+
+        this._dispatchActionEvent("QuickCTXActionFailed", targetElement, {
+            ...detail,
+            error,
+        });
+    }
+
+    /**
+     * Dispatches an action-related event on the target element.
+     * @param {string} eventName - The name of the event.
+     * @param {HTMLElement} targetElement - The element the command was executed on.
+     * @param {object} detail - The detail of the event.
+     * @private
+     */
+    _dispatchActionEvent(eventName, targetElement, detail) {
+        targetElement?.dispatchEvent(
+            new CustomEvent(eventName, {
+                detail,
+                bubbles: true,
+                composed: true,
+            })
+        );
+    }
+
+    /**
+     * Constructs the DOM for a menu based on its configuration.
+     * @private
+     */
+    _buildAndShowMenu(
+        config,
+        targetElement,
+        targetType,
+        x,
+        y,
+        parentMenuElement = null,
+        parentCommand = null
+    ) {
+        this._log({
+            event: "buildMenu",
+            message: `Building menu for target type: ${targetType}`,
+            data: {
+                targetElementId: targetElement.id || "unknown",
+                parentMenuId: parentMenuElement ? parentMenuElement.id : null,
+            },
+        });
+
+        // If a parent menu is provided, we are building a submenu.
+        const menuToBuild = parentMenuElement || this.activeMenuElement;
+
+        let additionalClasses = config.additionalClasses;
+
+        if (parentMenuElement) {
+            // A submenu may be rebuilt while open (e.g. once its content is loaded): track it only once.
+            if (
+                !this.activeSubmenus.some(
+                    (submenuInfo) => submenuInfo.element === menuToBuild
                 )
-            );
-            visibleItems++;
+            ) {
+                this.activeSubmenus.push({
+                    element: menuToBuild,
+                    parentCommand: parentCommand,
+                });
+            }
+
+            additionalClasses = this.activeMenuElement.className;
+        }
+
+        this._stopArrowScroll(menuToBuild);
+        menuToBuild.innerHTML = "";
+
+        const headerText = this._formatHeaderText(
+            config.headerText || config.headerTextTemplate,
+            targetType
+        );
+        const ul = createElement("ul", this.options.classes.list, {
+            role: "menu",
+            tabindex: "-1",
         });
 
+        if (!parentMenuElement && headerText) {
+            const headerId = createUniqueId("quickctx-header-");
+            menuToBuild.appendChild(
+                createElement(
+                    "div",
+                    this.options.classes.header,
+                    { id: headerId },
+                    headerText
+                )
+            );
+            ul.setAttribute("aria-labelledby", headerId);
+        } else if (parentCommand?.element) {
+            // Submenus are labelled by the item that opens them.
+            if (!parentCommand.element.id)
+                parentCommand.element.id = createUniqueId("quickctx-item-");
+            ul.setAttribute("aria-labelledby", parentCommand.element.id);
+        }
+
+        if (config.layout === "grid") this._applyGridLayout(ul, config.columns);
+
+        if (!parentMenuElement && config.searchable) {
+            menuToBuild.style.minWidth = "";
+            menuToBuild.appendChild(
+                this._createSearchDOM(config, targetElement, targetType, ul)
+            );
+        }
+
+        const visibleItems = this._renderMenuItems(
+            ul,
+            config,
+            targetElement,
+            targetType,
+            parentCommand
+        );
+
         if (visibleItems > 0) {
             menuToBuild.appendChild(ul);
+            this._addScrollArrows(ul, parentCommand);
             this._showMenuDOM(
                 menuToBuild,
                 x,
@@ -1386,13 +3686,381 @@ class QuickCTX {
             else parentCommand?.element.classList.remove("has-submenu-arrow");
             return null;
         }
-        menuToBuild.appendChild(ul);
 
-        if (!parentMenuElement) {
-            document.addEventListener("click", this._boundOutsideClick, true);
-            document.addEventListener("keydown", this._boundHandleKeydown);
-        }
-        return menuToBuild;
+        if (!parentMenuElement) {
+            document.addEventListener("click", this._boundOutsideClick, true);
+            document.addEventListener("keydown", this._boundHandleKeydown);
+        }
+        return menuToBuild;
+    }
+
+    /**
+     * Renders the commands of a menu configuration as items of a list.
+     * @param {HTMLElement} ul - The list to fill.
+     * @param {ContextMenuConfigOptions} config - The menu configuration (or `{ commands }` for a submenu).
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {string} targetType - The type of the target element.
+     * @param {MenuCommand|null} [parentCommand=null] - The command opening the submenu, if the list is a submenu.
+     * @returns {number} The number of rendered items.
+     * @private
+     */
+    _renderMenuItems(
+        ul,
+        config,
+        targetElement,
+        targetType,
+        parentCommand = null
+    ) {
+        const visibleItems = config.sections
+            ? this._renderMenuSections(ul, config.sections)
+            : this._renderCommands(
+                  ul,
+                  config.commands,
+                  targetElement,
+                  targetType,
+                  config.filterStrategy || this.options.globalFilterStrategy,
+                  parentCommand
+              );
+
+        this._removeUnusedIconPlaceholders(ul);
+
+        return visibleItems;
+    }
+
+    /**
+     * Renders the sections of a merged menu, each against its own target element. Sections are separated by
+     * their header, or by a plain separator; a section without any visible command is left out.
+     * @param {HTMLElement} ul - The list to fill.
+     * @param {Array<{targetElement: HTMLElement, targetType: string, commands: MenuCommand[], filterStrategy: string, header: string}>} sections - The sections.
+     * @returns {number} The number of rendered items.
+     * @private
+     */
+    _renderMenuSections(ul, sections) {
+        let visibleItems = 0;
+
+        sections.forEach((section) => {
+            const separator =
+                section.header || visibleItems > 0
+                    ? this._createMenuItemDOM(
+                          MenuCommand.Separator(section.header || null),
+                          section.targetElement,
+                          false
+                      )
+                    : null;
+            if (separator) ul.appendChild(separator);
+
+            const sectionItems = this._renderCommands(
+                ul,
+                section.commands,
+                section.targetElement,
+                section.targetType,
+                section.filterStrategy
+            );
+
+            if (sectionItems === 0) separator?.remove();
+            else visibleItems += sectionItems + (separator ? 1 : 0);
+        });
+
+        return visibleItems;
+    }
+
+    /**
+     * Renders commands as items of a list, skipping those hidden for the target.
+     * @param {HTMLElement} ul - The list to fill.
+     * @param {MenuCommand[]} commands - The commands.
+     * @param {HTMLElement} targetElement - The element the commands apply to.
+     * @param {string} targetType - The type of the target element.
+     * @param {'hide'|'disable'} filterStrategy - What to do with commands that do not match the target type.
+     * @param {MenuCommand|null} [parentCommand=null] - The command opening the submenu, if the list is a submenu.
+     * @returns {number} The number of rendered items.
+     * @private
+     */
+    _renderCommands(
+        ul,
+        commands,
+        targetElement,
+        targetType,
+        filterStrategy,
+        parentCommand = null
+    ) {
+        let visibleItems = 0;
+        commands.forEach((command) => {
+            if (parentCommand) command.parentCommand = parentCommand; // Hierarchical tracking
+
+            const { isVisible, isDisabled } = this._resolveCommandState(
+                command,
+                targetElement,
+                targetType,
+                filterStrategy
+            );
+            if (!isVisible) return;
+
+            const li =
+                command.type === "row"
+                    ? this._createRowDOM(
+                          command,
+                          targetElement,
+                          isDisabled,
+                          filterStrategy
+                      )
+                    : this._createMenuItemDOM(
+                          command,
+                          targetElement,
+                          isDisabled
+                      );
+            if (!li) return;
+
+            ul.appendChild(li);
+            visibleItems++;
+        });
+
+        return visibleItems;
+    }
+
+    /**
+     * Removes the icon placeholders of a list if none of its items has an icon: they only matter to keep labels aligned.
+     * @param {HTMLElement} ul - The list.
+     * @private
+     */
+    _removeUnusedIconPlaceholders(ul) {
+        const icons = Array.from(
+            ul.querySelectorAll(
+                "." + this.options.classes.icon.split(" ").join(".")
+            )
+        );
+        if (
+            icons.every((icon) =>
+                icon.classList.contains("quickctx-icon--empty")
+            )
+        )
+            icons.forEach((icon) => icon.remove());
+    }
+
+    /**
+     * Creates the search box of a `searchable` menu. Typing in it replaces the list content with the
+     * commands (of any submenu level) whose label contains the query, each preceded by its breadcrumb.
+     * @param {ContextMenuConfigOptions} config - The menu configuration.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {string} targetType - The type of the target element.
+     * @param {HTMLElement} ul - The list of the menu.
+     * @returns {HTMLElement} The search input.
+     * @private
+     */
+    _createSearchDOM(config, targetElement, targetType, ul) {
+        if (!ul.id) ul.id = createUniqueId("quickctx-list-");
+
+        const input = createElement("input", this.options.classes.search, {
+            type: "search",
+            placeholder: this.options.searchPlaceholder,
+            "aria-label": this.options.searchPlaceholder,
+            "aria-controls": ul.id,
+            autocomplete: "off",
+        });
+
+        input.addEventListener("input", () => {
+            const menuElement = this.activeMenuElement;
+            // Keep the width of the unfiltered menu, so that it does not jump while typing.
+            if (!menuElement.style.minWidth)
+                menuElement.style.minWidth = `${
+                    menuElement.getBoundingClientRect().width
+                }px`;
+
+            this._closeSubmenus();
+            this._setActiveItem(null);
+            input.removeAttribute("aria-activedescendant");
+            ul.innerHTML = "";
+
+            const query = input.value.trim().toLowerCase();
+            if (!query) {
+                this._renderMenuItems(ul, config, targetElement, targetType);
+                this._applyMaxHeight(this.activeMenuElement, targetElement);
+                return;
+            }
+
+            const sections = config.sections || [
+                {
+                    commands: config.commands,
+                    targetElement,
+                    targetType,
+                    filterStrategy:
+                        config.filterStrategy ||
+                        this.options.globalFilterStrategy,
+                },
+            ];
+            const results = sections.flatMap((section) =>
+                this._collectSearchResults(
+                    section.commands,
+                    query,
+                    section.targetElement,
+                    section.targetType,
+                    section.filterStrategy
+                ).map((result) => ({
+                    ...result,
+                    targetElement: section.targetElement,
+                }))
+            );
+
+            results.forEach(({ command, path, isDisabled, targetElement }) => {
+                const li = this._createMenuItemDOM(
+                    command,
+                    targetElement,
+                    isDisabled
+                );
+                if (path.length > 0) {
+                    const breadcrumb = createElement(
+                        "span",
+                        this.options.classes.breadcrumb,
+                        {},
+                        path.join(" › ") + " › "
+                    );
+                    // Right before the label, after the icon.
+                    li.querySelector(
+                        "." + this.options.classes.icon.split(" ").join(".")
+                    ).after(breadcrumb);
+                }
+                ul.appendChild(li);
+            });
+
+            if (results.length === 0)
+                ul.appendChild(
+                    this._createMenuItemDOM(
+                        this._createStatusCommand(
+                            this.options.noResultsText,
+                            this.options.classes.noResults
+                        ),
+                        targetElement,
+                        true
+                    )
+                );
+
+            this._removeUnusedIconPlaceholders(ul);
+            this._applyMaxHeight(this.activeMenuElement, targetElement);
+            this._moveActiveItem("first");
+        });
+
+        return input;
+    }
+
+    /**
+     * Recursively collects the commands matching a search query. Only commands that can be executed are
+     * returned; submenus (and rows) are searched through and contribute their label to the breadcrumb.
+     * @param {MenuCommand[]} commands - The commands to search.
+     * @param {string} query - The lowercase query.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @param {string} targetType - The type of the target element.
+     * @param {'hide'|'disable'} filterStrategy - What to do with commands that do not match the target type.
+     * @param {string[]} [path=[]] - The labels of the submenus leading to `commands`.
+     * @param {boolean} [isParentDisabled=false] - Whether the submenu holding `commands` is disabled.
+     * @returns {Array<{command: MenuCommand, path: string[], isDisabled: boolean}>}
+     * @private
+     */
+    _collectSearchResults(
+        commands,
+        query,
+        targetElement,
+        targetType,
+        filterStrategy,
+        path = [],
+        isParentDisabled = false
+    ) {
+        return commands.flatMap((command) => {
+            if (command.type === "separator") return [];
+
+            const { isVisible, isDisabled } = this._resolveCommandState(
+                command,
+                targetElement,
+                targetType,
+                filterStrategy
+            );
+            if (!isVisible) return [];
+
+            const label = String(
+                this._resolveCommandProperty(command, "label", targetElement) ??
+                    ""
+            )
+                .replace(/<[^>]*>/g, "")
+                .trim();
+
+            if (["sublist", "row"].includes(command.type))
+                return this._collectSearchResults(
+                    (command.subCommandsLoader
+                        ? this._getLoadedSubCommands(command, targetElement)
+                        : command.subCommands) || [],
+                    query,
+                    targetElement,
+                    targetType,
+                    filterStrategy,
+                    label ? [...path, label] : path,
+                    isParentDisabled || isDisabled
+                );
+
+            if (
+                !this._isExecutableCommand(command) ||
+                !label.toLowerCase().includes(query)
+            )
+                return [];
+
+            return [
+                { command, path, isDisabled: isParentDisabled || isDisabled },
+            ];
+        });
+    }
+
+    /**
+     * Returns the search input of the open menu, if it is searchable.
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _getSearchInput() {
+        return (
+            this.activeMenuElement?.querySelector(
+                "." + this.options.classes.search.split(" ").join(".")
+            ) || null
+        );
+    }
+
+    /**
+     * Returns the type assigned to a target element through `data-custom-ctxmenu-type`.
+     * An element may have several types, separated by spaces (e.g. "file image/png readonly").
+     * @param {HTMLElement} targetElement - The target element.
+     * @returns {string} The target type, or "default" if none is set.
+     * @private
+     */
+    _getTargetType(targetElement) {
+        return (
+            parseTargetTypes(
+                targetElement.getAttribute("data-custom-ctxmenu-type")
+            ).join(" ") || "default"
+        );
+    }
+
+    /**
+     * Checks whether a command is active for a given target type.
+     * @param {MenuCommand} command - The command to check.
+     * @param {string} targetType - The type of the target element, possibly holding several space-separated types.
+     * @returns {boolean} True if the command applies to the target type.
+     * @private
+     */
+    _commandMatchesTargetType(command, targetType) {
+        return matchesTargetTypes(
+            parseTargetTypes(command.targetTypes),
+            parseTargetTypes(targetType)
+        );
+    }
+
+    /**
+     * Replaces the `{type}` (first type) and `{types}` (all types) placeholders of a header template.
+     * @param {string} [template] - The header template.
+     * @param {string} targetType - The type of the target element, possibly holding several space-separated types.
+     * @returns {string} The header text, or an empty string without a template.
+     * @private
+     */
+    _formatHeaderText(template, targetType) {
+        const types = parseTargetTypes(targetType);
+
+        return (template || "")
+            .replace(/{types}/g, types.join(", "))
+            .replace(/{type}/g, types[0] || "");
     }
 
     /**
@@ -1409,6 +4077,8 @@ class QuickCTX {
         additionalClasses
     ) {
         menuDomElement.style.display = "block";
+        this._alignItemColumns(menuDomElement);
+        this._applyMaxHeight(menuDomElement, targetElement);
         menuDomElement.classList.remove(this.options.classes.closing);
         menuDomElement.classList.add(this.options.classes.opening);
         additionalClasses
@@ -1443,78 +4113,946 @@ class QuickCTX {
         menuDomElement.classList.add(this.options.classes.open);
     }
 
-    /********** MENU CREATION AND CONFIG **********/
+    /**
+     * Displays a list as a grid of tiles with the given number of columns.
+     * @param {HTMLElement} ul - The list.
+     * @param {number|null} [columns] - The number of columns. Defaults to 4.
+     * @private
+     */
+    _applyGridLayout(ul, columns) {
+        const columnCount = Math.floor(columns ?? 4);
+
+        if (!(columnCount >= 1)) {
+            this._log({
+                event: "gridLayout",
+                message: `Invalid number of columns: ${columns}. Using 4 instead.`,
+                isError: true,
+            });
+        }
+
+        ul.classList.add(this.options.classes.grid);
+        ul.style.setProperty(
+            "--quickctx-grid-columns",
+            columnCount >= 1 ? columnCount : 4
+        );
+    }
+
+    /**
+     * Adds the arrows scrolling a list while hovered, shown by `_applyMaxHeight` when the list is too long.
+     * Scrolling the list also closes the submenus opened from its items, which would no longer be next to them.
+     * @param {HTMLElement} ul - The list.
+     * @param {MenuCommand|null} parentCommand - The command opening the list, if it is a submenu.
+     * @private
+     */
+    _addScrollArrows(ul, parentCommand) {
+        [
+            [this.options.classes.scrollUp, -1],
+            [this.options.classes.scrollDown, 1],
+        ].forEach(([className, direction]) => {
+            const arrow = createElement("div", className, {
+                "aria-hidden": "true",
+            });
+            arrow.style.display = "none";
+
+            let lastTime = null;
+            const scroll = (time) => {
+                // The list may have been removed, or stopped overflowing, while the arrow was hovered.
+                if (!ul.isConnected || arrow.style.display === "none") {
+                    this._stopArrowScroll();
+                    return;
+                }
+
+                if (lastTime !== null)
+                    ul.scrollTop +=
+                        (direction *
+                            this.options.animations.scrollSpeed *
+                            (time - lastTime)) /
+                        1000;
+                lastTime = time;
+                this.arrowScroll = { ul, frame: requestAnimationFrame(scroll) };
+            };
+
+            arrow.addEventListener("mouseenter", () => {
+                this._stopArrowScroll();
+                lastTime = null;
+                this.arrowScroll = { ul, frame: requestAnimationFrame(scroll) };
+            });
+            arrow.addEventListener("mouseleave", () => this._stopArrowScroll());
+
+            if (direction < 0) ul.before(arrow);
+            else ul.after(arrow);
+        });
+
+        ul.addEventListener("scroll", () => {
+            this._updateScrollArrows(ul);
+            this._closeSiblingSubmenus(parentCommand);
+        });
+    }
+
+    /**
+     * Stops the scrolling started by hovering a scroll arrow.
+     * @param {HTMLElement} [menuElement] - If given, only stops the scrolling of a list inside this menu.
+     * @private
+     */
+    _stopArrowScroll(menuElement) {
+        if (
+            !this.arrowScroll ||
+            (menuElement && !menuElement.contains(this.arrowScroll.ul))
+        )
+            return;
+
+        cancelAnimationFrame(this.arrowScroll.frame);
+        this.arrowScroll = null;
+    }
+
+    /**
+     * Limits the height of a menu to the `maxHeight` option (of the menu, or the global one) and to the viewport.
+     * If the menu is taller, its list scrolls and the scroll arrows are shown.
+     * @param {HTMLElement} menuDomElement - The displayed menu container.
+     * @param {HTMLElement} targetElement - The element the menu was opened for.
+     * @private
+     */
+    _applyMaxHeight(menuDomElement, targetElement) {
+        const ul = Array.from(menuDomElement.children).find(
+            (child) => child.tagName === "UL"
+        );
+        if (!ul) return;
+
+        const config =
+            this.menuConfigurations[targetElement?.dataset.customCtxmenu];
+        const configuredMaxHeight = config?.maxHeight ?? this.options.maxHeight;
+        const maxHeight = Math.min(
+            configuredMaxHeight > 0 ? configuredMaxHeight : Infinity,
+            window.innerHeight - 20
+        );
+        const arrows = [ul.previousElementSibling, ul.nextElementSibling];
+
+        ul.style.maxHeight = "";
+        arrows.forEach((arrow) => arrow && (arrow.style.display = "none"));
+
+        if (menuDomElement.getBoundingClientRect().height <= maxHeight) return;
+
+        arrows.forEach((arrow) => arrow && (arrow.style.display = ""));
+        const chromeHeight =
+            menuDomElement.getBoundingClientRect().height -
+            ul.getBoundingClientRect().height;
+        ul.style.maxHeight = `${Math.max(maxHeight - chromeHeight, 0)}px`;
+        this._updateScrollArrows(ul);
+    }
+
+    /**
+     * Hides the scroll arrows of a list when it cannot be scrolled further in their direction.
+     * They keep their space, so that the list does not move.
+     * @param {HTMLElement} ul - The list.
+     * @private
+     */
+    _updateScrollArrows(ul) {
+        const upArrow = ul.previousElementSibling;
+        const downArrow = ul.nextElementSibling;
+        const canScrollDown =
+            Math.ceil(ul.scrollTop + ul.clientHeight) < ul.scrollHeight;
+
+        if (upArrow)
+            upArrow.style.visibility = ul.scrollTop > 0 ? "" : "hidden";
+        if (downArrow)
+            downArrow.style.visibility = canScrollDown ? "" : "hidden";
+    }
+
+    /**
+     * Scrolls the list holding an item, if needed, so that the item is fully visible.
+     * @param {HTMLElement} li - The item.
+     * @private
+     */
+    _scrollItemIntoView(li) {
+        const list = li.closest("ul");
+        if (!list) return;
+
+        const listRect = list.getBoundingClientRect();
+        const itemRect = li.getBoundingClientRect();
+
+        if (itemRect.top < listRect.top)
+            list.scrollTop -= listRect.top - itemRect.top;
+        else if (itemRect.bottom > listRect.bottom)
+            list.scrollTop += itemRect.bottom - listRect.bottom;
+    }
+
+    /**
+     * Gives the hints and shortcuts of a menu a common width, so that they line up in columns
+     * even when only some items have them.
+     * @param {HTMLElement} menuDomElement - The displayed menu container.
+     * @private
+     */
+    _alignItemColumns(menuDomElement) {
+        const alignColumn = (className) => {
+            const cells = Array.from(
+                menuDomElement.querySelectorAll(
+                    "." + className.split(" ").join(".")
+                )
+            );
+            cells.forEach((cell) => (cell.style.minWidth = ""));
+
+            const width = Math.max(
+                0,
+                ...cells.map((cell) => cell.getBoundingClientRect().width)
+            );
+            if (width > 0)
+                cells.forEach((cell) => (cell.style.minWidth = `${width}px`));
+
+            return { cells, width };
+        };
+
+        const shortcuts = alignColumn(this.options.classes.shortcut);
+        const hints = alignColumn(this.options.classes.hint);
+
+        // Hints of items without a shortcut are pushed into the hint column, left of the shortcuts.
+        if (shortcuts.width > 0) {
+            const offset =
+                shortcuts.width +
+                (parseFloat(getComputedStyle(shortcuts.cells[0]).marginLeft) ||
+                    0);
+            hints.cells.forEach((hint) => {
+                hint.style.marginRight = shortcuts.cells.includes(
+                    hint.previousElementSibling
+                )
+                    ? ""
+                    : `${offset}px`;
+            });
+        }
+    }
+
+    /********** MENU CREATION AND CONFIG **********/
+
+    /**
+     * Registers a named action that can be referenced by commands.
+     * @param {string} actionName - The unique name for the action.
+     * @param {Function} callback - The function to execute. It receives `(targetElement, command)`.
+     */
+    registerAction(actionName, callback) {
+        if (typeof callback !== "function" && callback !== null) {
+            console.error(
+                `Callback for action "${actionName}" must be a function or null.`
+            );
+            return;
+        }
+        this.registeredActions[actionName] = callback;
+    }
+
+    /**
+     * Adds a menu configuration to the manager.
+     * @param {ContextMenuConfigOptions} configOptions - The configuration object for the menu.
+     */
+    addMenuConfiguration(configOptions) {
+        if (!configOptions.id) {
+            this._log({
+                event: "addMenuConfiguration",
+                message: "Failed to add menu configuration: ID is required.",
+                isError: true,
+            });
+            throw new Error("ID is required for menu configuration.");
+        }
+
+        if (this.menuConfigurations[configOptions.id]) {
+            this._log({
+                event: "addMenuConfiguration",
+                message: `Overwriting existing menu configuration with ID: ${configOptions.id}`,
+            });
+        }
+
+        let commands = Array.isArray(configOptions.commands)
+            ? configOptions.commands.map((cmd) =>
+                  cmd instanceof MenuCommand || this._isCommandPatch(cmd)
+                      ? cmd
+                      : new MenuCommand(cmd)
+              )
+            : [];
+
+        if (configOptions.extends) {
+            this.ownMenuCommands.set(configOptions.id, commands);
+            commands = this._resolveMenuCommands(
+                configOptions.id,
+                configOptions.extends
+            );
+        } else {
+            this.ownMenuCommands.delete(configOptions.id);
+            commands = commands
+                .filter((cmd) => {
+                    if (!this._isCommandPatch(cmd)) return true;
+                    this._log({
+                        event: "addMenuConfiguration",
+                        message: `Patch of command "${cmd.id}" ignored: menu "${configOptions.id}" does not extend another menu.`,
+                        isError: true,
+                    });
+                    return false;
+                })
+                .sort((a, b) => a.order - b.order);
+        }
+
+        // Options left out follow the global defaults, which are resolved when the menu is used.
+        this.menuConfigurations[configOptions.id] = {
+            ...configOptions,
+            commands,
+        };
+
+        this._log({
+            event: "addMenuConfiguration",
+            message: `Menu configuration added for ID: ${configOptions.id}`,
+            data: {
+                commandsCount: commands.length,
+                filterStrategy:
+                    configOptions.filterStrategy ||
+                    this.options.globalFilterStrategy,
+            },
+        });
+
+        this._logShortcutConflicts(configOptions.id, "addMenuConfiguration");
+
+        this._setupEventListeners();
+        this._propagateMenuChange(configOptions.id);
+    }
+
+    /**
+     * Logs the shortcut conflicts involving the commands of a menu.
+     * @param {string} menuId - The ID of the menu.
+     * @param {string} event - The event name of the log entries.
+     * @private
+     */
+    _logShortcutConflicts(menuId, event) {
+        this.findShortcutConflicts()
+            .filter((conflict) =>
+                conflict.commands.some((c) => c.menuId === menuId)
+            )
+            .forEach((conflict) => {
+                const message = `Shortcut ${
+                    conflict.shortcut
+                } is assigned to more than one command: ${conflict.commands
+                    .map((c) => `"${c.commandLabel}" (menu "${c.menuId}")`)
+                    .join(", ")}`;
+
+                this._log({
+                    event,
+                    message,
+                    data: conflict,
+                    isError: true,
+                });
+            });
+    }
+
+    /**
+     * Builds the commands of a menu extending other menus: clones of the commands of its base menus, merged by ID,
+     * with its own commands replacing, patching or being inserted among them.
+     * @param {string} menuId - The ID of the extending menu.
+     * @param {string|string[]} baseMenuIds - The ID(s) of the base menus.
+     * @returns {MenuCommand[]} The merged commands.
+     * @private
+     */
+    _resolveMenuCommands(menuId, baseMenuIds) {
+        const commands = [];
+
+        [].concat(baseMenuIds).forEach((baseMenuId) => {
+            const baseConfig = this.menuConfigurations[baseMenuId];
+            if (!baseConfig || baseMenuId === menuId) {
+                this._log({
+                    event: "extendMenu",
+                    message: `Menu "${menuId}" cannot extend menu "${baseMenuId}": it is not registered.`,
+                    isError: true,
+                });
+                return;
+            }
+
+            baseConfig.commands.forEach((command) => {
+                const clone = this._cloneCommand(command);
+                const index = commands.findIndex((c) => c.id === clone.id);
+                if (index !== -1) commands[index] = clone;
+                else commands.push(clone);
+            });
+        });
+
+        const menu = { id: menuId, commands };
+
+        (this.ownMenuCommands.get(menuId) || []).forEach((ownEntry) => {
+            // Own commands are copied too: edits of the merged commands are recorded as new own entries instead.
+            const entry = this._isCommandPatch(ownEntry)
+                ? ownEntry
+                : this._cloneCommand(ownEntry);
+            const location = this._findCommandLocation(commands, entry.id);
+
+            if (this._isCommandPatch(entry)) {
+                if (!location) {
+                    this._log({
+                        event: "extendMenu",
+                        message: `Menu "${menuId}" patches command "${entry.id}", which it does not inherit.`,
+                        isError: true,
+                    });
+                    return;
+                }
+
+                if (entry.remove) {
+                    location.list.splice(
+                        location.list.indexOf(location.command),
+                        1
+                    );
+                    return;
+                }
+
+                const {
+                    subCommands,
+                    parentId,
+                    before,
+                    after,
+                    index,
+                    ...properties
+                } = entry.patch;
+                Object.assign(location.command, properties);
+                if (subCommands)
+                    location.command.setSubCommands(
+                        subCommands.map((subCommand) =>
+                            subCommand instanceof MenuCommand
+                                ? this._cloneCommand(subCommand)
+                                : subCommand
+                        )
+                    );
+
+                const anchorId = before ?? after;
+                if (
+                    parentId === undefined &&
+                    anchorId == null &&
+                    typeof index !== "number"
+                ) {
+                    location.list.sort((a, b) => a.order - b.order);
+                    return;
+                }
+
+                this._moveCommand(
+                    menu,
+                    location,
+                    {
+                        parentId:
+                            parentId !== undefined
+                                ? parentId
+                                : this._findCommandLocation(commands, anchorId)
+                                      ?.parent?.id,
+                        before: before ?? undefined,
+                        after: after ?? undefined,
+                        index,
+                    },
+                    "extendMenu"
+                );
+                return;
+            }
+
+            if (location) {
+                location.list[location.list.indexOf(location.command)] = entry;
+                if (location.parent) entry.parentCommand = location.parent;
+                else delete entry.parentCommand;
+                return;
+            }
+
+            const anchorId = entry.before ?? entry.after;
+            const anchor =
+                anchorId != null &&
+                this._findCommandLocation(commands, anchorId);
+
+            if (anchorId != null && !anchor)
+                this._log({
+                    event: "extendMenu",
+                    message: `Command "${anchorId}" not found in menu "${menuId}": command "${entry.id}" is added at the end.`,
+                    isError: true,
+                });
+
+            this._insertCommand(
+                menu,
+                entry,
+                anchor
+                    ? {
+                          parentId: anchor.parent?.id,
+                          [entry.before != null ? "before" : "after"]: anchorId,
+                      }
+                    : {},
+                "extendMenu"
+            );
+        });
+
+        return commands;
+    }
+
+    /**
+     * Rebuilds the commands of the menus extending a menu, directly or not.
+     * @param {string} menuId - The ID of the changed menu.
+     * @param {string[]} [path=[]] - The menus already rebuilt along the current chain, to stop on circular inheritance.
+     * @returns {string[]} The IDs of the rebuilt menus.
+     * @private
+     */
+    _resolveDescendantMenus(menuId, path = []) {
+        const rebuiltMenuIds = [];
+
+        Object.values(this.menuConfigurations)
+            .filter(
+                (config) =>
+                    config.extends &&
+                    [].concat(config.extends).includes(menuId) &&
+                    config.id !== menuId &&
+                    !path.includes(config.id)
+            )
+            .forEach((config) => {
+                config.commands = this._resolveMenuCommands(
+                    config.id,
+                    config.extends
+                );
+                rebuiltMenuIds.push(
+                    config.id,
+                    ...this._resolveDescendantMenus(config.id, [
+                        ...path,
+                        menuId,
+                    ])
+                );
+            });
+
+        return rebuiltMenuIds;
+    }
+
+    /**
+     * Deeply copies a command, so that an extending menu can change it without affecting its base menu.
+     * @param {MenuCommand} command - The command to copy.
+     * @returns {MenuCommand}
+     * @private
+     */
+    _cloneCommand(command) {
+        return new MenuCommand({
+            ...command,
+            subCommands:
+                command.subCommandsLoader ||
+                command.subCommands.map((subCommand) =>
+                    this._cloneCommand(subCommand)
+                ),
+        });
+    }
+
+    /**
+     * Checks whether an item of a menu definition patches an inherited command.
+     * @param {object|MenuCommand} item - The item.
+     * @returns {boolean}
+     * @private
+     */
+    _isCommandPatch(item) {
+        return (
+            !(item instanceof MenuCommand) &&
+            ((typeof item?.patch === "object" && item.patch !== null) ||
+                item?.remove === true)
+        );
+    }
+
+    /**
+     * Checks whether a command of a menu extending other menus comes from one of its base menus.
+     * @param {string} menuId - The ID of the extending menu.
+     * @param {string} commandId - The ID of the command.
+     * @returns {boolean}
+     * @private
+     */
+    _isInheritedCommand(menuId, commandId) {
+        return []
+            .concat(this.menuConfigurations[menuId]?.extends || [])
+            .some(
+                (baseMenuId) =>
+                    baseMenuId !== menuId &&
+                    this.menuConfigurations[baseMenuId] &&
+                    this._findCommandLocation(
+                        this.menuConfigurations[baseMenuId].commands,
+                        commandId
+                    )
+            );
+    }
+
+    /**
+     * Applies an edit to the own entries of a menu extending other menus, then rebuilds its commands from them.
+     * The own entries stay the only source of the menu's commands, so the edit survives when a base menu changes.
+     * @param {string} menuId - The ID of the extending menu.
+     * @param {function((MenuCommand|CommandPatch)[]): (MenuCommand|CommandPatch)[]} edit - Returns the edited entries.
+     * @private
+     */
+    _editOwnMenuCommands(menuId, edit) {
+        const config = this.menuConfigurations[menuId];
+        this.ownMenuCommands.set(
+            menuId,
+            edit(this.ownMenuCommands.get(menuId))
+        );
+        config.commands = this._resolveMenuCommands(menuId, config.extends);
+    }
+
+    /**
+     * Removes a command from the own entries of a menu extending other menus.
+     * A command the menu added itself is forgotten, with the edits made to it and to its submenu;
+     * other commands get a removal entry.
+     * @param {string} menuId - The ID of the menu.
+     * @param {MenuCommand} command - The removed command.
+     * @param {(MenuCommand|CommandPatch)[]} ownEntries - The own entries of the menu.
+     * @returns {(MenuCommand|CommandPatch)[]} The edited entries.
+     * @private
+     */
+    _removeOwnCommand(menuId, command, ownEntries) {
+        const isOwnCommand = ownEntries.some(
+            (entry) => !this._isCommandPatch(entry) && entry.id === command.id
+        );
+
+        if (!isOwnCommand || this._isInheritedCommand(menuId, command.id))
+            return [...ownEntries, { id: command.id, remove: true }];
+
+        const removedIds = new Set();
+        const collectIds = (cmd) => {
+            removedIds.add(cmd.id);
+            cmd.subCommands.forEach(collectIds);
+        };
+        collectIds(command);
+
+        return ownEntries.filter((entry) => !removedIds.has(entry.id));
+    }
+
+    /**
+     * Returns a registered menu configuration.
+     * @param {string} menuId - The ID of the menu configuration.
+     * @returns {ContextMenuConfigOptions|null} A copy of the configuration, or `null` if it was not found.
+     * Its commands are the live `MenuCommand` instances: edit them through `updateMenuCommand`, `addCommand`, `removeCommand` and `moveCommand`.
+     */
+    getMenuConfiguration(menuId) {
+        const config = this.menuConfigurations[menuId];
+        if (!config) {
+            this._log({
+                event: "getMenuConfiguration",
+                message: `Menu with ID "${menuId}" not found.`,
+                isError: true,
+            });
+            return null;
+        }
+
+        return { ...config, commands: [...config.commands] };
+    }
+
+    /**
+     * Lists the IDs of the registered menu configurations.
+     * @returns {string[]}
+     */
+    listMenus() {
+        return Object.keys(this.menuConfigurations);
+    }
+
+    /**
+     * Lists the names of the registered actions, including those registered automatically
+     * for the functions passed to `createAndBindMenu`.
+     * @returns {string[]}
+     */
+    listActions() {
+        return Object.keys(this.registeredActions).filter(
+            (actionName) =>
+                typeof this.registeredActions[actionName] === "function"
+        );
+    }
 
     /**
-     * Registers a named action that can be referenced by commands.
-     * @param {string} actionName - The unique name for the action.
-     * @param {Function} callback - The function to execute. It receives `(targetElement, command)`.
+     * Serializes the registered menus into a JSON-compatible object, which `fromJSON` can load back.
+     * Actions are referenced by their registered name. Values that cannot be serialized (dynamic properties,
+     * elements, lazily loaded submenus, unregistered action functions) are left out and reported in the log.
+     * Properties equal to their default value are omitted.
+     * @returns {{version: number, menus: object[]}}
      */
-    registerAction(actionName, callback) {
-        if (typeof callback !== "function" && callback !== null) {
-            console.error(
-                `Callback for action "${actionName}" must be a function or null.`
-            );
-            return;
+    toJSON() {
+        const skipped = [];
+        const defaults = new MenuCommand({ id: "" });
+
+        const menus = Object.values(this.menuConfigurations).map((config) => {
+            const menu = {};
+            Object.entries(config).forEach(([key, value]) => {
+                // Extending menus are saved as declared, not with the inherited commands.
+                if (key === "commands")
+                    menu.commands = (
+                        this.ownMenuCommands.get(config.id) || value
+                    ).map((entry) => {
+                        if (!this._isCommandPatch(entry))
+                            return this._serializeCommand(
+                                entry,
+                                defaults,
+                                skipped
+                            );
+                        if (entry.remove) return { id: entry.id, remove: true };
+                        if (!this._isSerializable(entry.patch))
+                            skipped.push(`patch of command "${entry.id}"`);
+                        return { id: entry.id, patch: entry.patch };
+                    });
+                else if (value === undefined) return;
+                else if (this._isSerializable(value)) menu[key] = value;
+                else skipped.push(`menu "${config.id}" → ${key}`);
+            });
+            return menu;
+        });
+
+        if (skipped.length > 0) {
+            const message = `Some values cannot be serialized and were left out: ${skipped.join(
+                ", "
+            )}`;
+            this._log({
+                event: "toJSON",
+                message,
+                data: { skipped },
+                isError: true,
+            });
         }
-        this.registeredActions[actionName] = callback;
+
+        return { version: 1, menus };
     }
 
     /**
-     * Adds a menu configuration to the manager.
-     * @param {ContextMenuConfigOptions} configOptions - The configuration object for the menu.
+     * Registers the menus serialized by `toJSON`, replacing the menus with the same IDs.
+     * Actions are referenced by name: they can be registered with `registerAction` before or after loading the menus.
+     * @param {string|{menus: object[]}} data - The serialized menus, as an object or a JSON string.
+     * @returns {string[]} The IDs of the loaded menus.
      */
-    addMenuConfiguration(configOptions) {
-        if (!configOptions.id) {
+    fromJSON(data) {
+        let parsed = data;
+        if (typeof data === "string") {
+            try {
+                parsed = JSON.parse(data);
+            } catch (error) {
+                this._log({
+                    event: "fromJSON",
+                    message:
+                        "Failed to load menus: the data is not valid JSON.",
+                    data: { error: error.message },
+                    isError: true,
+                });
+                throw error;
+            }
+        }
+
+        if (!Array.isArray(parsed?.menus)) {
             this._log({
-                event: "addMenuConfiguration",
-                message: "Failed to add menu configuration: ID is required.",
+                event: "fromJSON",
+                message: "Failed to load menus: the data has no `menus` array.",
                 isError: true,
             });
-            throw new Error("ID is required for menu configuration.");
+            throw new Error("`menus` array is required for fromJSON.");
         }
 
-        if (this.menuConfigurations[configOptions.id]) {
+        const unregisteredActions = new Set();
+        const collectActions = (commands) =>
+            commands.forEach((command) => {
+                if (
+                    typeof command.action === "string" &&
+                    typeof this.registeredActions[command.action] !== "function"
+                )
+                    unregisteredActions.add(command.action);
+                if (Array.isArray(command.subCommands))
+                    collectActions(command.subCommands);
+            });
+
+        parsed.menus.forEach((menu) => {
+            collectActions(menu.commands || []);
+            this.addMenuConfiguration(menu);
+        });
+
+        if (unregisteredActions.size > 0)
             this._log({
-                event: "addMenuConfiguration",
-                message: `Overwriting existing menu configuration with ID: ${configOptions.id}`,
+                event: "fromJSON",
+                message: `Actions not registered yet: ${Array.from(
+                    unregisteredActions
+                ).join(", ")}`,
             });
+
+        return parsed.menus.map((menu) => menu.id);
+    }
+
+    /**
+     * Serializes a command and its submenu for `toJSON`.
+     * @param {MenuCommand} command - The command.
+     * @param {MenuCommand} defaults - A command holding the default values, which are omitted.
+     * @param {string[]} skipped - Receives the descriptions of the values that cannot be serialized.
+     * @returns {object} The command configuration.
+     * @private
+     */
+    _serializeCommand(command, defaults, skipped) {
+        const data = { id: command.id };
+
+        [
+            "label",
+            "type",
+            "targetTypes",
+            "iconClass",
+            "icon",
+            "disabled",
+            "visible",
+            "order",
+            "content",
+            "shortcut",
+            "checked",
+            "group",
+            "value",
+            "keepOpen",
+            "cacheSubCommands",
+            "layout",
+            "columns",
+            "inputType",
+            "placeholder",
+            "min",
+            "max",
+            "step",
+            "swatches",
+            "description",
+            "hint",
+            "badge",
+            "tooltip",
+            "disabledReason",
+            "confirm",
+            "variant",
+            "before",
+            "after",
+        ].forEach((property) => {
+            const value = command[property];
+            if (value === undefined) return;
+
+            if (!this._isSerializable(value))
+                skipped.push(`command "${command.id}" → ${property}`);
+            else if (
+                JSON.stringify(value) !== JSON.stringify(defaults[property])
+            )
+                data[property] = value;
+        });
+
+        if (command.action) {
+            const actionName = this._getActionName(command.action);
+            if (actionName) data.action = actionName;
+            else skipped.push(`command "${command.id}" → action`);
         }
 
-        const commands = Array.isArray(configOptions.commands)
-            ? configOptions.commands
-                  .map((cmd) =>
-                      cmd instanceof MenuCommand ? cmd : new MenuCommand(cmd)
-                  )
-                  .sort((a, b) => a.order - b.order)
-            : [];
-        this.menuConfigurations[configOptions.id] = {
-            ...configOptions,
-            commands,
-            triggerEvent:
-                configOptions.triggerEvent || this.options.defaultTrigger,
-            mobileTriggerEvent:
-                configOptions.mobileTriggerEvent ||
-                this.options.defaultMobileTrigger,
-            closeTriggerEvent:
-                configOptions.closeTriggerEvent ||
-                this.options.defaultCloseTrigger,
-            filterStrategy:
-                configOptions.filterStrategy ||
-                this.options.globalFilterStrategy,
+        if (command.subCommandsLoader)
+            skipped.push(`command "${command.id}" → subCommands`);
+        else if (command.subCommands.length > 0)
+            data.subCommands = command.subCommands.map((subCommand) =>
+                this._serializeCommand(subCommand, defaults, skipped)
+            );
+
+        return data;
+    }
+
+    /**
+     * Returns the registered name of an action.
+     * @param {Function|string} action - The action, or its name.
+     * @returns {string|null} The name, or `null` for a function that was never registered.
+     * @private
+     */
+    _getActionName(action) {
+        if (typeof action === "string") return action;
+
+        return (
+            this.functionActionMap.get(action) ||
+            Object.keys(this.registeredActions).find(
+                (actionName) => this.registeredActions[actionName] === action
+            ) ||
+            null
+        );
+    }
+
+    /**
+     * Checks whether a value survives a JSON round trip: functions and elements do not.
+     * @param {*} value - The value to check.
+     * @returns {boolean}
+     * @private
+     */
+    _isSerializable(value) {
+        if (typeof value === "function" || value instanceof HTMLElement)
+            return false;
+        if (value && typeof value === "object")
+            return Object.values(value).every((item) =>
+                this._isSerializable(item)
+            );
+        return true;
+    }
+
+    /**
+     * Finds keyboard shortcuts assigned to more than one command reachable from the same element: commands of the
+     * same menu, or of menus whose bound elements are nested in the page (the innermost menu's command runs).
+     * The same command in several menus (shared, or inherited through `extends`) does not conflict with itself.
+     * @returns {Array<{shortcut: string, commands: Array<{menuId: string, commandId: string, commandLabel: string}>}>}
+     * The list of conflicting shortcuts, each with the commands using it. Commands with a dynamic label are listed with their id as label.
+     */
+    findShortcutConflicts() {
+        const usages = new Map();
+
+        const collect = (commands, menuId) => {
+            commands.forEach((command) => {
+                const parsed = parseShortcut(
+                    command.shortcut,
+                    this.isMacPlatform
+                );
+                if (parsed) {
+                    const shortcut = formatShortcut(parsed);
+                    const commandsUsingIt = usages.get(shortcut) || [];
+                    commandsUsingIt.push({
+                        menuId,
+                        commandId: command.id,
+                        commandLabel:
+                            typeof command.label === "function"
+                                ? command.id
+                                : command.label,
+                    });
+                    usages.set(shortcut, commandsUsingIt);
+                }
+                if (command.subCommands?.length > 0)
+                    collect(command.subCommands, menuId);
+            });
         };
 
-        this._log({
-            event: "addMenuConfiguration",
-            message: `Menu configuration added for ID: ${configOptions.id}`,
-            data: {
-                commandsCount: commands.length,
-                filterStrategy:
-                    this.menuConfigurations[configOptions.id].filterStrategy,
-            },
-        });
+        Object.values(this.menuConfigurations).forEach((config) =>
+            collect(config.commands, config.id)
+        );
 
-        this._setupEventListeners();
+        const nestedMenus = this._getNestedMenus();
+        const conflict = (a, b) =>
+            a.commandId !== b.commandId &&
+            (a.menuId === b.menuId || nestedMenus.get(a.menuId)?.has(b.menuId));
+
+        return Array.from(usages.entries())
+            .map(([shortcut, commands]) => ({
+                shortcut,
+                commands: commands.filter((command) =>
+                    commands.some((other) => conflict(command, other))
+                ),
+            }))
+            .filter(({ commands }) => commands.length > 1);
+    }
+
+    /**
+     * Returns, for each menu, the menus bound to elements nested in its own elements or containing them.
+     * @returns {Map<string, Set<string>>}
+     * @private
+     */
+    _getNestedMenus() {
+        const nestedMenus = new Map();
+        const link = (menuId, otherMenuId) => {
+            if (!nestedMenus.has(menuId)) nestedMenus.set(menuId, new Set());
+            nestedMenus.get(menuId).add(otherMenuId);
+        };
+
+        document
+            .querySelectorAll("[data-custom-ctxmenu]")
+            .forEach((element) => {
+                for (
+                    let ancestor = element.parentElement?.closest(
+                        "[data-custom-ctxmenu]"
+                    );
+                    ancestor;
+                    ancestor = ancestor.parentElement?.closest(
+                        "[data-custom-ctxmenu]"
+                    )
+                ) {
+                    link(
+                        element.dataset.customCtxmenu,
+                        ancestor.dataset.customCtxmenu
+                    );
+                    link(
+                        ancestor.dataset.customCtxmenu,
+                        element.dataset.customCtxmenu
+                    );
+                }
+            });
+
+        return nestedMenus;
     }
 
     /**
@@ -1533,14 +5071,27 @@ class QuickCTX {
             return;
         }
 
-        // Merge the new options into the existing configuration
-        this.menuConfigurations[menuId] = {
-            ...this.menuConfigurations[menuId],
-            ...newOptions,
-        };
+        if ("commands" in newOptions || "extends" in newOptions) {
+            // The commands must be converted and, for extending menus, merged again with the inherited ones.
+            // Registering the menu again also applies the changes to the open menu and to the menus extending it.
+            this.addMenuConfiguration({
+                ...this.menuConfigurations[menuId],
+                commands:
+                    this.ownMenuCommands.get(menuId) ||
+                    this.menuConfigurations[menuId].commands,
+                ...newOptions,
+            });
+        } else {
+            // Merge the new options into the existing configuration
+            this.menuConfigurations[menuId] = {
+                ...this.menuConfigurations[menuId],
+                ...newOptions,
+            };
 
-        // Re-run the event listener setup to apply changes to triggers
-        this._setupEventListeners();
+            // Re-run the event listener setup to apply changes to triggers
+            this._setupEventListeners();
+            this._propagateMenuChange(menuId);
+        }
 
         this._log({
             event: "updateMenuConfiguration",
@@ -1578,7 +5129,7 @@ class QuickCTX {
             return false;
         }
 
-        let commandLabel;
+        let updatedCommand;
 
         // Helper function to recursively search for the command.
         const findAndMerge = (commands) => {
@@ -1586,7 +5137,7 @@ class QuickCTX {
                 // Target command found.
                 if (command.action === action) {
                     Object.assign(command, updates);
-                    commandLabel = command.label;
+                    updatedCommand = command;
                     return true;
                 }
                 // If the command is a submenu, search within it.
@@ -1602,11 +5153,31 @@ class QuickCTX {
         const wasCommandUpdated = findAndMerge(menuConfig.commands);
 
         if (wasCommandUpdated) {
+            if (this.ownMenuCommands.has(menuId))
+                this._editOwnMenuCommands(menuId, (ownEntries) => {
+                    // Successive updates of a command are merged into one patch.
+                    const lastEntry = ownEntries[ownEntries.length - 1];
+                    const isLastPatched =
+                        lastEntry?.patch && lastEntry.id === updatedCommand.id;
+                    return [
+                        ...(isLastPatched
+                            ? ownEntries.slice(0, -1)
+                            : ownEntries),
+                        {
+                            id: updatedCommand.id,
+                            patch: isLastPatched
+                                ? { ...lastEntry.patch, ...updates }
+                                : { ...updates },
+                        },
+                    ];
+                });
+
             this._log({
                 event: "updateMenuCommand",
-                message: `Command "${commandLabel}" in menu "${menuId}" was successfully updated.`,
+                message: `Command "${updatedCommand.id}" in menu "${menuId}" was successfully updated.`,
                 data: { updates },
             });
+            this._propagateMenuChange(menuId);
         } else {
             this._log({
                 event: "updateMenuCommand",
@@ -1618,13 +5189,349 @@ class QuickCTX {
         return wasCommandUpdated;
     }
 
+    /**
+     * Finds a command by its ID within a menu, at any depth (submenus and rows included).
+     * Commands of lazily loaded submenus are not searched.
+     * @param {string} menuId - The ID of the menu configuration.
+     * @param {string} commandId - The ID of the command.
+     * @returns {MenuCommand|null} The command, or `null` if it was not found.
+     */
+    getCommand(menuId, commandId) {
+        const menuConfig = this.menuConfigurations[menuId];
+        if (!menuConfig) {
+            this._log({
+                event: "getCommand",
+                message: `Menu with ID "${menuId}" not found.`,
+                isError: true,
+            });
+            return null;
+        }
+
+        return (
+            this._findCommandLocation(menuConfig.commands, commandId)
+                ?.command || null
+        );
+    }
+
+    /**
+     * Inserts a command into a menu or into the submenu of one of its commands.
+     * Without a position, the command is added at the end of its `order` group. With `before`, `after` or `index`,
+     * it takes the `order` of its new neighbour so that sorting keeps it where it was inserted.
+     * @param {string} menuId - The ID of the menu configuration.
+     * @param {object|MenuCommand} command - The command, or its configuration.
+     * @param {object} [position={}] - Where to insert the command.
+     * @param {string} [position.parentId] - The ID of the command whose submenu (or row) receives the command. Defaults to the menu itself.
+     * @param {string} [position.before] - The ID of the sibling to insert the command before.
+     * @param {string} [position.after] - The ID of the sibling to insert the command after.
+     * @param {number} [position.index] - The index at which to insert the command among its siblings.
+     * @returns {MenuCommand|null} The inserted command, or `null` if it could not be inserted.
+     */
+    addCommand(menuId, command, position = {}) {
+        const menuConfig = this.menuConfigurations[menuId];
+        if (!menuConfig) {
+            this._log({
+                event: "addCommand",
+                message: `Menu with ID "${menuId}" not found.`,
+                isError: true,
+            });
+            return null;
+        }
+
+        let newCommand =
+            command instanceof MenuCommand ? command : new MenuCommand(command);
+
+        if (this._findCommandLocation(menuConfig.commands, newCommand.id)) {
+            this._log({
+                event: "addCommand",
+                message: `A command with ID "${newCommand.id}" already exists in menu "${menuId}".`,
+                isError: true,
+            });
+            return null;
+        }
+
+        if (
+            !this._insertCommand(menuConfig, newCommand, position, "addCommand")
+        )
+            return null;
+
+        // Extending menus get the command among their own entries, with a patch moving it to its position.
+        if (this.ownMenuCommands.has(menuId)) {
+            const { parentId, before, after, index } = position;
+            const hasPosition = [parentId, before, after, index].some(
+                (value) => value !== undefined
+            );
+            this._editOwnMenuCommands(menuId, (ownEntries) => [
+                ...ownEntries,
+                this._cloneCommand(newCommand),
+                ...(hasPosition
+                    ? [
+                          {
+                              id: newCommand.id,
+                              patch: {
+                                  parentId: parentId ?? null,
+                                  before,
+                                  after,
+                                  index,
+                              },
+                          },
+                      ]
+                    : []),
+            ]);
+            newCommand = this._findCommandLocation(
+                menuConfig.commands,
+                newCommand.id
+            ).command;
+        }
+
+        this._log({
+            event: "addCommand",
+            message: `Command "${newCommand.id}" added to menu "${menuId}".`,
+            data: { commandId: newCommand.id, position },
+        });
+        this._logShortcutConflicts(menuId, "addCommand");
+        this._propagateMenuChange(menuId);
+
+        return newCommand;
+    }
+
+    /**
+     * Removes a command (and its submenu) from a menu, at any depth.
+     * @param {string} menuId - The ID of the menu configuration.
+     * @param {string} commandId - The ID of the command to remove.
+     * @returns {boolean} Returns `true` if the command was found and removed, otherwise `false`.
+     */
+    removeCommand(menuId, commandId) {
+        const menuConfig = this.menuConfigurations[menuId];
+        const location =
+            menuConfig &&
+            this._findCommandLocation(menuConfig.commands, commandId);
+
+        if (!location) {
+            this._log({
+                event: "removeCommand",
+                message: menuConfig
+                    ? `Command "${commandId}" not found in menu "${menuId}".`
+                    : `Menu with ID "${menuId}" not found.`,
+                isError: true,
+            });
+            return false;
+        }
+
+        location.list.splice(location.list.indexOf(location.command), 1);
+        delete location.command.parentCommand;
+
+        if (this.ownMenuCommands.has(menuId))
+            this._editOwnMenuCommands(menuId, (ownEntries) =>
+                this._removeOwnCommand(menuId, location.command, ownEntries)
+            );
+
+        this._log({
+            event: "removeCommand",
+            message: `Command "${location.command.id}" removed from menu "${menuId}".`,
+            data: { commandId },
+        });
+        this._propagateMenuChange(menuId);
+
+        return true;
+    }
+
+    /**
+     * Moves a command to another position of the same menu, possibly into another submenu.
+     * The position is given as for `addCommand`; if it is invalid, the command stays where it was.
+     * @param {string} menuId - The ID of the menu configuration.
+     * @param {string} commandId - The ID of the command to move.
+     * @param {object} [position={}] - Where to move the command (`parentId`, `before`, `after` or `index`, as for `addCommand`).
+     * @returns {boolean} Returns `true` if the command was moved, otherwise `false`.
+     */
+    moveCommand(menuId, commandId, position = {}) {
+        const menuConfig = this.menuConfigurations[menuId];
+        const location =
+            menuConfig &&
+            this._findCommandLocation(menuConfig.commands, commandId);
+
+        if (!location) {
+            this._log({
+                event: "moveCommand",
+                message: menuConfig
+                    ? `Command "${commandId}" not found in menu "${menuId}".`
+                    : `Menu with ID "${menuId}" not found.`,
+                isError: true,
+            });
+            return false;
+        }
+
+        if (!this._moveCommand(menuConfig, location, position, "moveCommand"))
+            return false;
+
+        // Extending menus get a patch moving the command among their own entries.
+        if (this.ownMenuCommands.has(menuId)) {
+            const { parentId = null, before, after, index } = position;
+            this._editOwnMenuCommands(menuId, (ownEntries) => [
+                ...ownEntries,
+                { id: commandId, patch: { parentId, before, after, index } },
+            ]);
+        }
+
+        this._log({
+            event: "moveCommand",
+            message: `Command "${commandId}" moved in menu "${menuId}".`,
+            data: { commandId, position },
+        });
+        this._propagateMenuChange(menuId);
+
+        return true;
+    }
+
+    /**
+     * Moves a command within a menu configuration, as described by `moveCommand`.
+     * @param {ContextMenuConfigOptions} menuConfig - The menu configuration.
+     * @param {{command: MenuCommand, list: MenuCommand[], parent: MenuCommand|null}} location - The location of the command.
+     * @param {object} position - The `parentId`, `before`, `after` or `index` of its new position.
+     * @param {string} event - The event name of the log entries.
+     * @returns {boolean} False if the position is invalid, in which case the command stays where it was.
+     * @private
+     */
+    _moveCommand(menuConfig, { command, list, parent }, position, event) {
+        if (
+            position.parentId &&
+            (position.parentId === command.id ||
+                this._findCommandLocation(
+                    command.subCommands,
+                    position.parentId
+                ))
+        ) {
+            this._log({
+                event,
+                message: `Command "${command.id}" cannot be moved into its own submenu.`,
+                isError: true,
+            });
+            return false;
+        }
+
+        const originalIndex = list.indexOf(command);
+        const originalOrder = command.order;
+        list.splice(originalIndex, 1);
+
+        if (!this._insertCommand(menuConfig, command, position, event)) {
+            // Put the command back where it was.
+            list.splice(originalIndex, 0, command);
+            command.order = originalOrder;
+            if (parent) command.parentCommand = parent;
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Recursively searches a list of commands (and their submenus) for a command ID.
+     * @param {MenuCommand[]} commands - The commands to search.
+     * @param {string} commandId - The ID of the command.
+     * @param {MenuCommand|null} [parent=null] - The command owning the list, if it is a submenu.
+     * @returns {{command: MenuCommand, list: MenuCommand[], parent: MenuCommand|null}|null}
+     * The command with the list holding it and the command owning that list, or `null` if it was not found.
+     * @private
+     */
+    _findCommandLocation(commands, commandId, parent = null) {
+        for (const command of commands) {
+            if (command.id === commandId)
+                return { command, list: commands, parent };
+
+            if (command.subCommands?.length > 0) {
+                const location = this._findCommandLocation(
+                    command.subCommands,
+                    commandId,
+                    command
+                );
+                if (location) return location;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Inserts a command into a menu configuration, as described by `addCommand`, then sorts the list it was inserted into.
+     * @param {ContextMenuConfigOptions} menuConfig - The menu configuration.
+     * @param {MenuCommand} command - The command to insert.
+     * @param {object} position - The `parentId`, `before`, `after` or `index` of the insertion.
+     * @param {string} event - The event name of the log entries.
+     * @returns {boolean} False if the position is invalid.
+     * @private
+     */
+    _insertCommand(
+        menuConfig,
+        command,
+        { parentId, before, after, index },
+        event
+    ) {
+        const fail = (message) => {
+            this._log({ event, message, isError: true });
+            return false;
+        };
+
+        let parent = null;
+        if (parentId) {
+            parent = this._findCommandLocation(
+                menuConfig.commands,
+                parentId
+            )?.command;
+
+            if (!parent)
+                return fail(
+                    `Parent command "${parentId}" not found in menu "${menuConfig.id}".`
+                );
+            if (parent.subCommandsLoader)
+                return fail(
+                    `The submenu of command "${parentId}" is loaded lazily and cannot be edited.`
+                );
+            if (parent.type !== "row") parent.type = "sublist";
+        }
+
+        const list = parent ? parent.subCommands : menuConfig.commands;
+
+        let insertIndex = list.length;
+        const siblingId = before ?? after;
+        if (siblingId !== undefined) {
+            const sibling = list.find((c) => c.id === siblingId);
+            if (!sibling)
+                return fail(
+                    `Command "${siblingId}" not found among the siblings of the inserted command.`
+                );
+
+            insertIndex =
+                list.indexOf(sibling) + (before !== undefined ? 0 : 1);
+            command.order = sibling.order;
+        } else if (typeof index === "number") {
+            insertIndex = Math.min(Math.max(index, 0), list.length);
+            // Take the order of the command now following it, or of the last one when appended.
+            const neighbour = list[insertIndex] || list[list.length - 1];
+            if (neighbour) command.order = neighbour.order;
+        }
+
+        list.splice(insertIndex, 0, command);
+        list.sort((a, b) => a.order - b.order);
+
+        if (parent) command.parentCommand = parent;
+        else delete command.parentCommand;
+
+        return true;
+    }
+
     /**
      * Binds a menu configuration to one or more HTML elements.
      * @param {string|HTMLElement|HTMLElement[]} selectorOrElements - A CSS selector, a single HTML element, or an array of elements.
      * @param {string} menuId - The ID of the menu configuration to bind.
-     * @param {string} type - The 'type' to assign to these elements.
+     * @param {string} type - The 'type' to assign to these elements, or several separated by spaces.
+     * Patterns and exclusions (e.g. a `defaultTargetType` of "image/* !readonly") are not types and are left out.
      */
     bindMenuToElements(selectorOrElements, menuId, type) {
+        const elementType = parseTargetTypes(type)
+            .filter(
+                (targetType) =>
+                    targetType === "*" ||
+                    (!targetType.startsWith("!") && !/[*?]/.test(targetType))
+            )
+            .join(" ");
         const elements =
             typeof selectorOrElements === "string"
                 ? document.querySelectorAll(selectorOrElements)
@@ -1635,12 +5542,19 @@ class QuickCTX {
         elements.forEach((el) => {
             if (el instanceof HTMLElement) {
                 el.dataset.customCtxmenu = menuId;
-                el.dataset.customCtxmenuType = el.dataset.customCtxmenuType
-                    ? el.dataset.customCtxmenuType
-                    : type;
+                if (!el.dataset.customCtxmenuType && elementType)
+                    el.dataset.customCtxmenuType = elementType;
+
+                // Make the element reachable with the Tab key, remembering it so that unbinding can revert it.
+                if (this.options.focusableTargets && el.tabIndex < 0) {
+                    el.setAttribute("tabindex", "0");
+                    el.dataset.customCtxmenuFocusable = "";
+                }
             }
         });
 
+        this._logShortcutConflicts(menuId, "bindMenuToElements");
+
         this._log({
             event: "bindMenuToElements",
             message: `Bound menu ${menuId} to elements of type ${type}`,
@@ -1668,6 +5582,11 @@ class QuickCTX {
             if (el instanceof HTMLElement) {
                 delete el.dataset.customCtxmenu;
                 delete el.dataset.customCtxmenuType;
+
+                if ("customCtxmenuFocusable" in el.dataset) {
+                    el.removeAttribute("tabindex");
+                    delete el.dataset.customCtxmenuFocusable;
+                }
             }
         });
 
@@ -1697,7 +5616,12 @@ class QuickCTX {
         filterStrategy,
         additionalClasses,
         ignoreButtons,
-        ignoreLinks
+        ignoreLinks,
+        searchable,
+        maxHeight,
+        layout,
+        columns,
+        extends: baseMenuIds,
     }) {
         if (!menuId || !structure) {
             this._log({
@@ -1717,7 +5641,13 @@ class QuickCTX {
                 .map((item) => {
                     const commandConf =
                         item instanceof MenuCommand
-                            ? { ...item } // Clone properties from the MenuCommand instance
+                            ? {
+                                  // Clone properties from the MenuCommand instance, with its loader if its submenu is lazily loaded.
+                                  ...item,
+                                  subCommands:
+                                      item.subCommandsLoader ||
+                                      item.subCommands,
+                              }
                             : typeof item === "object" && item !== null
                             ? { ...item }
                             : null;
@@ -1725,12 +5655,36 @@ class QuickCTX {
                     if (typeof commandConf !== "object" || commandConf === null)
                         return null;
 
-                    if (
+                    // Patches of inherited commands are applied when the menu's commands are merged.
+                    if (this._isCommandPatch(commandConf)) {
+                        if (commandConf.remove)
+                            return { id: commandConf.id, remove: true };
+                        const patch = { ...commandConf.patch };
+                        if (Array.isArray(patch.subCommands))
+                            patch.subCommands = processStructure(
+                                patch.subCommands,
+                                defaultType
+                            );
+                        return { id: commandConf.id, patch };
+                    }
+
+                    if (typeof commandConf.subCommands === "function") {
+                        const subCommandsLoader = commandConf.subCommands;
+                        // Loaded items go through the same processing once available.
+                        commandConf.type = "sublist";
+                        commandConf.subCommands = async (target) =>
+                            processStructure(
+                                (await subCommandsLoader(target)) || [],
+                                defaultType
+                            );
+                    } else if (
                         commandConf.subCommands &&
                         Array.isArray(commandConf.subCommands) &&
                         commandConf.subCommands.length > 0
                     ) {
-                        commandConf.type = "sublist";
+                        // Rows keep their type: their sub-commands are rendered as inline buttons.
+                        if (commandConf.type !== "row")
+                            commandConf.type = "sublist";
                         commandConf.subCommands = processStructure(
                             commandConf.subCommands,
                             defaultType
@@ -1792,7 +5746,12 @@ class QuickCTX {
             filterStrategy,
             additionalClasses,
             ignoreButtons,
-            ignoreLinks
+            ignoreLinks,
+            searchable,
+            maxHeight,
+            layout,
+            columns,
+            extends: baseMenuIds,
         };
 
         this.addMenuConfiguration(menuConfig);
@@ -23,4 +23,228 @@ function createElement(tag, classes = [], attributes = {}, textContent = '') {
     return el;
 }
 
-export { createElement };
+/**
+ * Generates a unique identifier, using `crypto.randomUUID` when available.
+ * @param {string} [prefix=''] - An optional prefix, useful to obtain valid and recognizable DOM IDs.
+ * @returns {string} The generated identifier.
+ */
+function createUniqueId(prefix = '') {
+    const uniqueId = window.crypto?.randomUUID ? crypto.randomUUID() : (Date.now().toString(36) + Math.random().toString(36).substring(2));
+    return `${prefix}${uniqueId}`;
+}
+
+/**
+ * Detects whether the current platform is macOS or iOS, where shortcuts are displayed with symbols (⌘, ⇧...).
+ * @returns {boolean} True on Apple platforms.
+ */
+function detectMacPlatform() {
+    const platform = navigator.userAgentData?.platform || navigator.platform || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+/**
+ * @typedef {object} Shortcut
+ * @property {boolean} ctrl - Whether the Control key is required.
+ * @property {boolean} alt - Whether the Alt (Option) key is required.
+ * @property {boolean} shift - Whether the Shift key is required.
+ * @property {boolean} meta - Whether the Meta (Command/Windows) key is required.
+ * @property {string} key - The main key, as reported by `KeyboardEvent.key` (single characters are lowercase).
+ */
+
+const SHORTCUT_KEY_ALIASES = {
+    esc: 'Escape',
+    del: 'Delete',
+    ins: 'Insert',
+    return: 'Enter',
+    space: ' ',
+    spacebar: ' ',
+    plus: '+',
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    pageup: 'PageUp',
+    pagedown: 'PageDown',
+};
+
+const MAC_KEY_SYMBOLS = {
+    Enter: '↩',
+    Escape: '⎋',
+    Backspace: '⌫',
+    Delete: '⌦',
+    Tab: '⇥',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ' ': 'Space',
+};
+
+/**
+ * Parses a shortcut string such as `"Ctrl+Shift+D"`. `Mod` stands for Command on Apple platforms and Control elsewhere.
+ * @param {string} shortcut - The shortcut string, with `+` between keys.
+ * @param {boolean} [isMac=false] - Whether `Mod` should be resolved to the Meta key.
+ * @returns {Shortcut|null} The parsed shortcut, or null if it has no main key.
+ */
+function parseShortcut(shortcut, isMac = false) {
+    if (typeof shortcut !== 'string') return null;
+
+    const parsed = { ctrl: false, alt: false, shift: false, meta: false, key: '' };
+
+    shortcut.split('+').map(part => part.trim()).filter(Boolean).forEach(part => {
+        switch (part.toLowerCase()) {
+            case 'ctrl':
+            case 'control':
+                parsed.ctrl = true;
+                break;
+            case 'alt':
+            case 'option':
+            case 'opt':
+                parsed.alt = true;
+                break;
+            case 'shift':
+                parsed.shift = true;
+                break;
+            case 'meta':
+            case 'cmd':
+            case 'command':
+            case 'win':
+            case 'super':
+                parsed.meta = true;
+                break;
+            case 'mod':
+                parsed[isMac ? 'meta' : 'ctrl'] = true;
+                break;
+            default:
+                parsed.key = SHORTCUT_KEY_ALIASES[part.toLowerCase()]
+                    || (part.length === 1 ? part.toLowerCase() : part.charAt(0).toUpperCase() + part.slice(1));
+        }
+    });
+
+    return parsed.key ? parsed : null;
+}
+
+/**
+ * Formats a parsed shortcut for display: symbols on Apple platforms (`⌃⌥⇧⌘D`), `Ctrl+Alt+Shift+D` elsewhere.
+ * @param {Shortcut} parsed - The parsed shortcut.
+ * @param {boolean} [isMac=false] - Whether to use the Apple notation.
+ * @returns {string} The formatted shortcut.
+ */
+function formatShortcut(parsed, isMac = false) {
+    const key = parsed.key.length === 1 ? parsed.key.toUpperCase() : parsed.key;
+
+    if (isMac) {
+        return `${parsed.ctrl ? '⌃' : ''}${parsed.alt ? '⌥' : ''}${parsed.shift ? '⇧' : ''}${parsed.meta ? '⌘' : ''}${MAC_KEY_SYMBOLS[key] || key}`;
+    }
+
+    return [
+        parsed.ctrl && 'Ctrl',
+        parsed.alt && 'Alt',
+        parsed.shift && 'Shift',
+        parsed.meta && 'Meta',
+        key === ' ' ? 'Space' : key,
+    ].filter(Boolean).join('+');
+}
+
+/**
+ * Formats a parsed shortcut in the syntax expected by the `aria-keyshortcuts` attribute.
+ * @param {Shortcut} parsed - The parsed shortcut.
+ * @returns {string} The shortcut, e.g. `"Control+Shift+D"`.
+ */
+function toAriaKeyShortcut(parsed) {
+    const key = parsed.key.length === 1 ? parsed.key.toUpperCase() : parsed.key;
+
+    return [
+        parsed.ctrl && 'Control',
+        parsed.alt && 'Alt',
+        parsed.shift && 'Shift',
+        parsed.meta && 'Meta',
+        key === ' ' ? 'Space' : key,
+    ].filter(Boolean).join('+');
+}
+
+/**
+ * Checks whether a keyboard event corresponds to a parsed shortcut.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @param {Shortcut} parsed - The parsed shortcut.
+ * @returns {boolean} True if the pressed keys match the shortcut exactly.
+ */
+function matchesShortcut(event, parsed) {
+    if (
+        event.ctrlKey !== parsed.ctrl ||
+        event.altKey !== parsed.alt ||
+        event.shiftKey !== parsed.shift ||
+        event.metaKey !== parsed.meta
+    ) return false;
+
+    if (event.key?.toLowerCase() === parsed.key.toLowerCase()) return true;
+
+    // With modifiers, `event.key` may report a different character (e.g. Shift+1 is "!"): fall back on the physical key.
+    if (/^[a-z]$/.test(parsed.key)) return event.code === `Key${parsed.key.toUpperCase()}`;
+    if (/^[0-9]$/.test(parsed.key)) return event.code === `Digit${parsed.key}`;
+
+    return false;
+}
+
+/**
+ * Checks whether a string looks like the URL of an image (absolute, relative, data or blob URL, or a path with an image extension).
+ * @param {string} source - The string to check.
+ * @returns {boolean} True if the string should be rendered as an `<img>` source.
+ */
+function isImageUrl(source) {
+    return /^(https?:|data:|blob:|\/|\.{1,2}\/)/i.test(source) || /\.(svg|png|jpe?g|gif|webp|avif|ico)([?#].*)?$/i.test(source);
+}
+
+/**
+ * Splits target types into a flat list. Each string may hold several types separated by spaces (e.g. `"file image readonly"`).
+ * @param {string|string[]|null} types - A string or array of strings of types.
+ * @returns {string[]} The individual types.
+ */
+function parseTargetTypes(types) {
+    return (Array.isArray(types) ? types : [types])
+        .flatMap(type => String(type ?? '').trim().split(/\s+/))
+        .filter(Boolean);
+}
+
+/**
+ * Checks whether a type matches a pattern, where `*` stands for any sequence of characters and `?` for a single one (e.g. `"image/*"`).
+ * @param {string} pattern - The pattern.
+ * @param {string} type - The type to test.
+ * @returns {boolean} True if the type matches the pattern.
+ */
+function matchesTypePattern(pattern, type) {
+    if (!/[*?]/.test(pattern)) return pattern === type;
+
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`).test(type);
+}
+
+/**
+ * Checks whether the types of an element match a list of patterns. Patterns starting with `!` exclude the elements having a matching type;
+ * the others match an element if any of its types matches one of them. A list of exclusions only matches every other element.
+ * @param {string[]} patterns - The patterns (e.g. `['image/*', '!readonly']`). `'*'` matches any element.
+ * @param {string[]} types - The types of the element.
+ * @returns {boolean} True if the element matches.
+ */
+function matchesTargetTypes(patterns, types) {
+    const excluded = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+    const included = patterns.filter(pattern => !pattern.startsWith('!'));
+
+    if (excluded.some(pattern => types.some(type => matchesTypePattern(pattern, type)))) return false;
+
+    return included.length === 0 || included.some(pattern => pattern === '*' || types.some(type => matchesTypePattern(pattern, type)));
+}
+
+export {
+    createElement,
+    createUniqueId,
+    detectMacPlatform,
+    parseShortcut,
+    formatShortcut,
+    toAriaKeyShortcut,
+    matchesShortcut,
+    isImageUrl,
+    parseTargetTypes,
+    matchesTypePattern,
+    matchesTargetTypes,
+};